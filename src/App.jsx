@@ -1,6 +1,7 @@
 import { useEffect, useMemo, useRef, useState } from "react";
 import logoUrl from "./cue-board.logo.png";
 import WaveSurfer from "wavesurfer.js";
+import RegionsPlugin from "wavesurfer.js/dist/plugins/regions.esm.js";
 import "./App.css";
 
 // APC40 mkII restricted color palette and helpers
@@ -42,6 +43,10 @@ const APC_ROWS = [
   [1, 2, 3, 4, 5, 6, 7, 8],
 ];
 
+// Bottom row of the clip grid shows the master meter
+const APC_METER_ROW = APC_ROWS[4];
+const APC_METER_VELS = [21, 21, 21, 21, 21, 13, 13, 5];
+
 // Group selector buttons (top row -> bottom row)
 // Notes provided: 82, 83, 84, 85, 86
 const GROUP_SELECT_NOTES = [82, 83, 84, 85, 86];
@@ -55,11 +60,63 @@ const NOTE_TO_GROUP_KEY = {
   85: "group4", // placeholder for a future group
   86: "group5", // placeholder for a future group
 };
+// APC40 mkII mixer section: master fader, and the track activator (mute)
+// and solo buttons of tracks 1-3 for the three lane buses
+const APC_MASTER_FADER_CC = 14;
+const APC_TRACK_MUTE_NOTE = 50;
+const APC_TRACK_SOLO_NOTE = 49;
+const APC_TRACK_GROUP_KEYS = ["background", "ambients", "sfx"];
 const GROUP_KEY_TO_NOTE = Object.fromEntries(
   Object.entries(NOTE_TO_GROUP_KEY).map(([n, g]) => [g, Number(n)])
 );
 // Use channel 3 (0-based index 2) to match the provided image
 const GROUP_LED_CHANNEL = 2;
+// Duration of the Fade All ramp
+const FADE_ALL_MS = 1000;
+// Fade curve shapes offered in the Sound Editor and trigger rows
+const FADE_CURVES = [
+  { value: "linear", label: "Linear" },
+  { value: "equalPower", label: "Equal power" },
+  { value: "log", label: "Logarithmic" },
+  { value: "sCurve", label: "S-curve" },
+];
+// Action vocabulary for pad triggers and cue actions (legacy 'fade' is still
+// executed but no longer offered)
+const TRIGGER_ACTIONS = [
+  { value: "none", label: "None" },
+  { value: "play", label: "Play" },
+  { value: "stop", label: "Stop" },
+  { value: "pause", label: "Pause" },
+  { value: "fadeIn", label: "Fade In" },
+  { value: "fadeOut", label: "Fade Out" },
+  { value: "setLevel", label: "Set Level" },
+  { value: "toggleLoop", label: "Toggle Loop" },
+  { value: "stopGroup", label: "Stop All in Group" },
+  { value: "stopAllExcept", label: "Stop All Except" },
+  { value: "gotoScene", label: "Go to Scene" },
+  { value: "wait", label: "Wait" },
+];
+const CUE_ACTIONS = TRIGGER_ACTIONS.filter((a) => a.value !== "none");
+const ACTIONS_WITH_TIME = [
+  "fade",
+  "fadeIn",
+  "fadeOut",
+  "setLevel",
+  "stopGroup",
+  "stopAllExcept",
+  "wait",
+];
+// Actions that do not address a single pad
+const ACTIONS_WITHOUT_PAD = ["stopGroup", "gotoScene", "wait"];
+// First channels of the pairs an output route can be mapped to
+const OUTPUT_CHANNEL_PAIRS = [1, 3, 5, 7, 9, 11, 13, 15];
+// Effect returns each pad can send to
+const FX_SEND_KINDS = ["reverb", "delay"];
+const LANE_OPTIONS = [
+  { value: "background", label: "Background Music" },
+  { value: "ambients", label: "Ambient Noise" },
+  { value: "sfx", label: "Sound Effects" },
+];
 
 function apcVelFromHex(hex) {
   if (!hex) return APC_NAME_TO_VEL.Green || 21;
@@ -147,6 +204,23 @@ function App() {
     padId: null,
   });
   const [mapperOpen, setMapperOpen] = useState(false);
+  // Cue list playhead: the cue on standby, the last one fired and the cues
+  // still inside their pre-wait or post-wait
+  const [cueListOpen, setCueListOpen] = useState(false);
+  const [standbyCueId, setStandbyCueId] = useState(null);
+  const [lastCueId, setLastCueId] = useState(null);
+  const [runningCueIds, setRunningCueIds] = useState([]);
+  // Pad keys of release-mode beds playing out their outro
+  const [releasingKeys, setReleasingKeys] = useState([]);
+  // Current and next track (file indexes) of playlist pads, by pad key
+  const [playlistTracks, setPlaylistTracks] = useState({});
+  // Preload state of files by URL: { status, bytes }
+  const [preloadStates, setPreloadStates] = useState({});
+  const cueTimersRef = useRef([]);
+  // Delayed trigger actions waiting on the audio clock (cancel functions)
+  const triggerTimersRef = useRef([]);
+  // Callbacks waiting for a pad voice to end naturally, keyed by pad key
+  const padEndWatchersRef = useRef(new Map());
   // Active group selection (e.g., which row we are controlling)
   const [activeGroupKey, setActiveGroupKey] = useState("background");
   // Latest values for use inside MIDI handlers
@@ -225,7 +299,42 @@ function App() {
     return Math.round(clamped * 127);
   }
   const audioCtxRef = useRef(null);
+  // Segments currently lit on the APC meter row (-1 forces a full resend)
+  const apcMeterLitRef = useRef(-1);
+  // Output buses keyed by route key: { gain, limiter, limited, meter,
+  // splitter, deviceId, wiring, streamDest, sinkEl }
+  const outputBusesRef = useRef(new Map());
+  // Channel-mapped device outputs keyed by device id: { merger, size,
+  // streamDest, sinkEl }. Routes given a channel pair share their device's
+  // merger, so one multichannel interface can carry several routes.
+  const deviceSinksRef = useRef(new Map());
+  // Group buses keyed by `${groupKey}>${routeKey}` -> { input, duck, meter },
+  // where `duck` is the gain stage ducking rules pull down
+  const groupBusesRef = useRef(new Map());
+  // Reverb/delay returns keyed by `${kind}>${groupKey}>${routeKey}` ->
+  // { input, output }; pad sends feed them and they play into the lane's bus,
+  // so the wet signal follows its fader, mute, solo and ducking
+  const fxReturnsRef = useRef(new Map());
   const padAudioRef = useRef(new Map());
+  // Pool pads' playback order state by pad key: { last, deck }
+  const poolStateRef = useRef(new Map());
+  // Files held in memory for instant starts, by URL -> { blobUrl, bytes,
+  // spare }; `spare` is an element already loaded and ready to play
+  const preloadRef = useRef(new Map());
+  const preloadWantedRef = useRef(new Set());
+  // Loads in flight by URL, so a newer pass waits for them instead of
+  // fetching the same file again
+  const preloadPendingRef = useRef(new Map());
+  // Fade-in times requested by triggers for voices that have not started yet
+  const pendingFadeInRef = useRef(new Map());
+  // Set by goToScene so the scene-load effect knows the scene was entered
+  // (rather than loaded or edited) and how its transition times auto-play
+  const sceneEnterRef = useRef(null);
+  // True until the scene shown at load has had its auto-play pads started
+  // or another scene was entered
+  const initialAutoPlayRef = useRef(true);
+  // Cancel functions for delayed starts queued by the last scene change
+  const sceneStartTimersRef = useRef([]);
   const apcNoteToPadRef = useRef(new Map());
   const apcInMapRef = useRef(null); // Map<incomingNote:number, padNumber:number>
   // Quick HTML5 test player (Show mode)
@@ -241,6 +350,16 @@ function App() {
     return show.scenes.find((s) => s.id === currentSceneId) || show.scenes[0];
   }, [show, currentSceneId]);
 
+  const cues = show.cues || [];
+  const mixer = normalizeMixer(show.mixer);
+  const routeOutputs = ensureRoutingSettings().outputs;
+  // Until the first GO, the top of the list stands by
+  const standbyCue = standbyCueId
+    ? cues.find((c) => c.id === standbyCueId) || null
+    : lastCueId
+    ? null
+    : cues[0] || null;
+
   // Ref mirror for MIDI handlers
   const currentSceneRef = useRef(currentScene);
   useEffect(() => {
@@ -253,12 +372,56 @@ function App() {
     showRef.current = show;
   }, [show]);
 
+  const modeRef = useRef(mode);
+  useEffect(() => {
+    modeRef.current = mode;
+  }, [mode]);
+
   const groupColors = useMemo(() => {
     const map = {};
     (show.groups || []).forEach((g) => (map[g.id] = g.color));
     return map;
   }, [show.groups]);
 
+  // Every distinct file in the current scene, for the sample rate check in
+  // Settings
+  const sceneAssets = useMemo(() => {
+    const seen = new Map();
+    ["background", "ambients", "sfx"].forEach((gk) =>
+      (currentScene?.[gk] || []).forEach((pad) =>
+        padFiles(pad).forEach((f) => {
+          const url = fileSrcUrl(f);
+          if (url && !seen.has(url)) {
+            seen.set(url, {
+              url,
+              name: fileNameFromPath(f.assetPath || "") || pad.name || url,
+            });
+          }
+        })
+      )
+    );
+    return Array.from(seen.values());
+  }, [currentScene]);
+
+  // Files of the current scene, then of the next one, in preload order
+  const preloadUrls = useMemo(() => {
+    const scenes = show.scenes || [];
+    const idx = scenes.findIndex((s) => s.id === currentSceneId);
+    if (idx < 0) return [];
+    const urls = [];
+    [scenes[idx], scenes[(idx + 1) % scenes.length]].forEach((scene) =>
+      ["background", "ambients", "sfx"].forEach((gk) =>
+        (scene[gk] || []).forEach((pad) =>
+          padFiles(pad).forEach((f) => {
+            const url = fileSrcUrl(f);
+            if (url && !urls.includes(url)) urls.push(url);
+          })
+        )
+      )
+    );
+    return urls;
+  }, [show.scenes, currentSceneId]);
+
   // Restore last selected scene if available
   useEffect(() => {
     try {
@@ -290,22 +453,64 @@ function App() {
   useEffect(() => {
     if (!currentScene) return;
     if (show.settings.applyRememberOnSceneLoad && currentScene.remember?.mix) {
-      setShow((prev) => ({
-        ...prev,
-        scenes: prev.scenes.map((s) =>
-          s.id === currentScene.id
-            ? applyRememberToScene(s, currentScene.remember.mix)
-            : s
-        ),
-      }));
+      setShow((prev) => {
+        const mixer = normalizeMixer(prev.mixer);
+        return {
+          ...prev,
+          mixer,
+          scenes: prev.scenes.map((s) =>
+            s.id === currentScene.id
+              ? applyRememberToScene(s, currentScene.remember.mix, mixer)
+              : s
+          ),
+        };
+      });
       setStatus("Applied Remember Mix on scene load");
     } else {
       setStatus(`Loaded scene: ${currentScene.name}`);
     }
+    const enter = sceneEnterRef.current;
+    sceneEnterRef.current = null;
+    if (enter && enter.sceneId === currentScene.id) {
+      autoPlayScenePads(currentScene, enter);
+    }
     setSelectedPadKey(null);
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [currentSceneId]);
 
+  // The scene shown at load (or restored) counts as entered in Show mode,
+  // but browsers only allow sound after a click or key press, so its
+  // auto-play pads start on the first one
+  useEffect(() => {
+    const stop = () => {
+      window.removeEventListener("pointerdown", onGesture, true);
+      window.removeEventListener("keydown", onGesture, true);
+    };
+    const onGesture = () => {
+      // Let the gesture run first: if it changes the scene, that wins
+      setTimeout(() => {
+        if (!initialAutoPlayRef.current) return stop();
+        const scene = currentSceneRef.current;
+        if (modeRef.current !== "show" || !scene) return;
+        initialAutoPlayRef.current = false;
+        stop();
+        // Leave alone a pad the gesture itself started
+        const skipIds = [];
+        ["background", "ambients", "sfx"].forEach((gk) =>
+          (scene[gk] || []).forEach((p) => {
+            const voice = padAudioRef.current.get(padKey(scene.id, gk, p.id));
+            if (voice && !voice.el.paused) skipIds.push(p.id);
+          })
+        );
+        autoPlayScenePads(scene, { waitMs: 0, skipIds, fadeIn: null });
+      }, 0);
+    };
+    window.addEventListener("pointerdown", onGesture, true);
+    window.addEventListener("keydown", onGesture, true);
+    return stop;
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
   // Initialize Web MIDI (with SysEx so we can init APC40)
   useEffect(() => {
     // Load saved APC input note mapping (if any)
@@ -339,6 +544,10 @@ function App() {
               handleApcFader(ch, d2);
               return;
             }
+            if (statusHi === 0xb0 && d1 === APC_MASTER_FADER_CC) {
+              handleApcMasterFader(d2);
+              return;
+            }
             // Handle CC for top encoders (absolute 0..127 on CC 0x30..0x37)
             if (statusHi === 0xb0 && d1 >= 0x30 && d1 <= 0x37) {
               const idx = d1 - 0x30; // 0..7
@@ -348,6 +557,18 @@ function App() {
             // Note On with velocity > 0
             if (statusHi === 0x90 && d2 > 0) {
               const note = d1 | 0; // 0..127
+              // Track activator / solo buttons (channel = track)
+              const trackGroup = APC_TRACK_GROUP_KEYS[ch - 1];
+              if (
+                trackGroup &&
+                (note === APC_TRACK_MUTE_NOTE || note === APC_TRACK_SOLO_NOTE)
+              ) {
+                toggleBusFlag(
+                  trackGroup,
+                  note === APC_TRACK_MUTE_NOTE ? "mute" : "solo"
+                );
+                return;
+              }
               // Handle group selection buttons first
               if (GROUP_SELECT_NOTES.includes(note)) {
                 const key = NOTE_TO_GROUP_KEY[note];
@@ -505,6 +726,155 @@ function App() {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []);
 
+  // A new sample rate needs a new context: stop everything and close the
+  // engine so the next sound starts it at the chosen rate
+  useEffect(() => {
+    const ctx = audioCtxRef.current;
+    const rate = engineSampleRate(show.settings);
+    if (!ctx || ctx.sampleRate === rate) return;
+    cancelCueTimers();
+    stopAllAudio();
+    setShow((prev) => ({
+      ...prev,
+      scenes: prev.scenes.map((sc) => {
+        const next = { ...sc };
+        ["background", "ambients", "sfx"].forEach((gk) => {
+          next[gk] = (sc[gk] || []).map((p) =>
+            p.playing ? { ...p, playing: false } : p
+          );
+        });
+        return next;
+      }),
+    }));
+    closeAudioEngine();
+    setStatus(`Audio engine will restart at ${formatRate(rate)}`);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [show.settings?.sampleRate]);
+
+  // Keep the current and next scene's files in memory, within the budget.
+  // Files load one at a time in the background; anything no longer needed
+  // is released.
+  useEffect(() => {
+    const budget = preloadBudgetMb(show.settings) * 1024 * 1024;
+    const wanted = new Set(preloadUrls);
+    preloadWantedRef.current = wanted;
+    const setState = (url, state) =>
+      setPreloadStates((prev) =>
+        prev[url]?.status === state.status && prev[url]?.bytes === state.bytes
+          ? prev
+          : { ...prev, [url]: state }
+      );
+    Array.from(preloadRef.current.keys()).forEach((url) => {
+      if (!wanted.has(url)) dropPreload(url);
+    });
+    setPreloadStates((prev) => {
+      const next = {};
+      Object.keys(prev).forEach((url) => {
+        if (wanted.has(url)) next[url] = prev[url];
+      });
+      return next;
+    });
+    let cancelled = false;
+    (async () => {
+      let used = 0;
+      for (const url of preloadUrls) {
+        if (cancelled) return;
+        const loaded = preloadRef.current.get(url);
+        const knownBytes = loaded?.bytes ?? preloadSizeCache.get(url);
+        if (knownBytes != null && used + knownBytes > budget) {
+          dropPreload(url);
+          setState(url, { status: "skipped", bytes: knownBytes });
+          continue;
+        }
+        if (loaded) {
+          used += loaded.bytes;
+          setState(url, { status: "ready", bytes: loaded.bytes });
+          continue;
+        }
+        setState(url, { status: "loading" });
+        await loadPreload(url);
+        if (cancelled) return;
+        const entry = preloadRef.current.get(url);
+        if (!entry) {
+          setState(url, { status: "error" });
+        } else if (used + entry.bytes > budget) {
+          dropPreload(url);
+          setState(url, { status: "skipped", bytes: entry.bytes });
+        } else {
+          used += entry.bytes;
+          setState(url, { status: "ready", bytes: entry.bytes });
+        }
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [preloadUrls.join("\n"), show.settings?.preloadBudgetMb]);
+
+  // Re-point live output buses when the routing settings change
+  useEffect(() => {
+    if (!audioCtxRef.current) return;
+    outputBusesRef.current.forEach((_, routeKey) => getOutputBus(routeKey));
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [show.settings?.audioRouting]);
+
+  // Follow the mixer (bus faders, mute/solo, master) on the audio graph and
+  // mirror mute/solo on the APC track buttons
+  useEffect(() => {
+    applyMixer();
+    apcSendMixerLeds();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [show.mixer, midiOut]);
+
+  // Mirror the master meter on the bottom row of the clip grid, which the
+  // scene layout leaves free: eight segments, green then yellow then red
+  useEffect(() => {
+    if (!midiOut) return;
+    apcMeterLitRef.current = -1;
+    let sentAt = 0;
+    const unsubscribe = subscribeMeterFrame((now) => {
+      if (now - sentAt < 50) return;
+      sentAt = now;
+      const { peak } = readMeters(outputMeterTaps());
+      const lit = Math.round(meterFraction(peak) * APC_METER_ROW.length);
+      apcSendMeterRow(lit);
+    });
+    return () => {
+      unsubscribe();
+      apcSendMeterRow(0);
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [midiOut]);
+
+  // Follow pan, EQ, send and speed/pitch edits (Sound Editor, Remember Mix)
+  // on the voices that are sounding
+  useEffect(() => {
+    applyLiveVoiceSettings();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [show.scenes]);
+
+  function applyLiveVoiceSettings() {
+    padAudioRef.current.forEach((ref, key) => {
+      const [sceneId, groupKey, padId] = key.split(":");
+      const scene = showRef.current.scenes.find((s) => s.id === sceneId);
+      const pad = scene && findPad(scene, groupKey, padId);
+      if (!pad) return;
+      [ref, ...(ref.layers || [])].forEach((v) => {
+        attachPitchShifter(v);
+        applyVoiceTone(v, pad);
+        applyPadRate(v, pad, v.pitchOffset || 0);
+      });
+    });
+  }
+
+  // Re-evaluate ducking when the rules are edited
+  useEffect(() => {
+    if (!audioCtxRef.current) return;
+    updateDucking();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [show.settings?.ducking]);
+
   // On initial load, try auto-relink using a previously saved directory handle.
   // If not possible or not permitted, offer to relink manually once.
   useEffect(() => {
@@ -549,11 +919,40 @@ function App() {
         nextScene();
       } else if (e.key.toLowerCase() === "b") {
         prevScene();
+      } else if (e.key === "Enter") {
+        // GO only in Show mode with nothing open, and never in place of a
+        // focused control's own Enter
+        const target = document.activeElement;
+        if (
+          mode !== "show" ||
+          settingsOpen ||
+          mapperOpen ||
+          cueListOpen ||
+          editor.open ||
+          tag === "BUTTON" ||
+          tag === "SELECT" ||
+          target?.isContentEditable
+        ) {
+          return;
+        }
+        handleGo();
+        e.preventDefault();
       }
     };
     window.addEventListener("keydown", onKey);
     return () => window.removeEventListener("keydown", onKey);
-  }, [selectedPadKey, currentSceneId, show]);
+  }, [
+    selectedPadKey,
+    currentSceneId,
+    show,
+    standbyCueId,
+    lastCueId,
+    mode,
+    settingsOpen,
+    mapperOpen,
+    cueListOpen,
+    editor.open,
+  ]);
 
   function updateScene(mutator) {
     const selectedSceneId =
@@ -586,39 +985,71 @@ function App() {
       setStatus("No audio attached to this pad");
       return;
     }
+    if (retriggerOnPress(sc.id, group, pad)) return;
     const next = !pad.playing;
     setPadPlaying(group, id, next);
     setStatus(`${pad.label || pad.name} ${next ? "started" : "stopped"}`);
   }
 
   function handleStopAll() {
+    // Release-mode beds play out their outro; a second Stop All cuts them
+    const released = new Set();
+    padAudioRef.current.forEach((ref, key) => {
+      const [sid, gk, id] = key.split(":");
+      if (releasePadLoop(sid, gk, id)) released.add(key);
+    });
     updateScene((scene) => {
-      allPads(scene).forEach((p) => (p.playing = false));
+      ["background", "ambients", "sfx"].forEach((gk) => {
+        (scene[gk] || []).forEach((p) => {
+          if (!released.has(padKey(scene.id, gk, p.id))) p.playing = false;
+        });
+      });
       return scene;
     });
-    setStatus("Stop all");
-    clearAllApcLeds();
-    stopAllAudio();
+    setStatus(
+      released.size > 0 ? `Stop all — ${released.size} releasing` : "Stop all"
+    );
+    if (released.size === 0) clearAllApcLeds();
+    cancelCueTimers();
+    stopAllAudio(released);
   }
 
   function handleFadeAll() {
-    let raf = 0;
-    const step = () => {
-      let any = false;
-      updateScene((scene) => {
-        allPads(scene).forEach((p) => {
-          if (p.playing && p.level > 0.02) {
-            p.level = Math.max(0, p.level - 0.02);
-            any = true;
-          }
-        });
-        return scene;
+    const scene = currentSceneRef.current || currentScene;
+    const faded = [];
+    ["background", "ambients", "sfx"].forEach((gk) => {
+      (scene[gk] || []).forEach((p) => {
+        const ref = padAudioRef.current.get(padKey(scene.id, gk, p.id));
+        if (p.playing && ref) faded.push({ gk, p, ref });
       });
-      if (any) raf = requestAnimationFrame(step);
-      else setStatus("Fade all complete");
-    };
-    raf = requestAnimationFrame(step);
-    return () => cancelAnimationFrame(raf);
+    });
+    if (faded.length === 0) return;
+    let remaining = faded.length;
+    faded.forEach(({ gk, p, ref }) => {
+      const onDone = () => {
+        remaining--;
+        if (remaining > 0) return;
+        // Leave the faded pads running at zero level, as the fader shows
+        const ids = new Set(faded.map((f) => f.p.id));
+        updateSceneById(scene.id, (sc) => {
+          allPads(sc).forEach((x) => {
+            if (ids.has(x.id)) x.level = 0;
+          });
+          return sc;
+        });
+        setStatus("Fade all complete");
+      };
+      fadeVolume(
+        scene.id,
+        gk,
+        p.id,
+        getPadVolume(ref),
+        0,
+        FADE_ALL_MS,
+        onDone,
+        p.fadeOutCurve
+      );
+    });
   }
 
   function handlePanic() {
@@ -635,6 +1066,7 @@ function App() {
     });
     setStatus("PANIC executed");
     clearAllApcLeds();
+    cancelCueTimers();
     stopAllAudio();
   }
 
@@ -649,7 +1081,7 @@ function App() {
         armed: true,
         savedAt: new Date().toISOString(),
         savedBy: "operator",
-        mix: buildRememberFromScene(scene),
+        mix: buildRememberFromScene(scene, showRef.current?.mixer),
       };
       return scene;
     });
@@ -657,29 +1089,244 @@ function App() {
   }
 
   function handleApplyRemember() {
-    if (!currentScene.remember?.mix) return;
-    updateScene((scene) =>
-      applyRememberToScene(scene, currentScene.remember.mix)
-    );
+    const mix = currentScene.remember?.mix;
+    if (!mix) return;
+    setShow((prev) => {
+      const mixer = normalizeMixer(prev.mixer);
+      return {
+        ...prev,
+        mixer,
+        scenes: prev.scenes.map((s) =>
+          s.id === currentScene.id
+            ? applyRememberToScene(structuredClone(s), mix, mixer)
+            : s
+        ),
+      };
+    });
     setStatus("Applied Remember Mix");
   }
 
+  // --- Cue list ---
+  function handleGo() {
+    const cue = standbyCue;
+    if (!cue) {
+      setStatus(cues.length ? "End of cue list" : "No cues");
+      return;
+    }
+    const idx = cues.findIndex((c) => c.id === cue.id);
+    setStandbyCueId(cues[idx + 1]?.id || null);
+    fireCue(cue);
+  }
+
+  // Run a cue's actions after its pre-wait; it counts as running until its
+  // post-wait has also elapsed
+  function fireCue(cue) {
+    const ctx = ensureAudioContext();
+    const preWaitMs = Math.max(0, Number(cue.preWaitMs) || 0);
+    const postWaitMs = Math.max(0, Number(cue.postWaitMs) || 0);
+    const schedule = (ms, cb) => {
+      if (ms > 0 && ctx) {
+        cueTimersRef.current.push(
+          runAtAudioTime(ctx, ctx.currentTime + ms / 1000, cb)
+        );
+      } else {
+        cb();
+      }
+    };
+    const finish = () =>
+      setRunningCueIds((ids) => ids.filter((id) => id !== cue.id));
+    const run = () => {
+      const scene = currentSceneRef.current || currentScene;
+      const actions = cue.actions || [];
+      const started = new Set(actionStartKeys(actions, scene, null));
+      if (cue.continueMode === "autoFollow" && started.size > 0) {
+        // Follow once every sound this cue starts has ended, been stopped
+        // or failed to start. Watch before running so an immediate failure
+        // is seen too.
+        let remaining = started.size;
+        started.forEach((key) => {
+          cueTimersRef.current.push(
+            watchPadEnd(key, () => {
+              remaining--;
+              if (remaining > 0) return;
+              finish();
+              continueAfterCue(cue);
+            })
+          );
+        });
+        runActionList(actions, scene, null);
+        return;
+      }
+      runActionList(actions, scene, null);
+      if (cue.continueMode === "autoContinue") {
+        schedule(postWaitMs, () => {
+          finish();
+          continueAfterCue(cue);
+        });
+      } else {
+        schedule(postWaitMs, finish);
+      }
+    };
+    setLastCueId(cue.id);
+    setRunningCueIds((ids) => [...ids.filter((id) => id !== cue.id), cue.id]);
+    setStatus(`GO ${cueLabel(cue)}`);
+    schedule(preWaitMs, run);
+  }
+
+  // Fire the cue after `cue` in the list (auto-continue / auto-follow) and
+  // move standby past it if it was the one standing by
+  function continueAfterCue(cue) {
+    const list = showRef.current?.cues || [];
+    const idx = list.findIndex((c) => c.id === cue.id);
+    const next = idx >= 0 ? list[idx + 1] : null;
+    if (!next) return;
+    const after = list[idx + 2];
+    setStandbyCueId((cur) => (cur === next.id ? after?.id || null : cur));
+    fireCue(next);
+  }
+
+  function cancelCueTimers() {
+    cueTimersRef.current.forEach((cancel) => cancel());
+    cueTimersRef.current = [];
+    triggerTimersRef.current.forEach((cancel) => cancel());
+    triggerTimersRef.current = [];
+    setRunningCueIds([]);
+  }
+
   function nextScene() {
-    setCurrentSceneId((prevId) => {
-      const scenes = showRef.current?.scenes || [];
-      const idx = scenes.findIndex((s) => s.id === prevId);
-      if (idx < 0 || scenes.length === 0) return prevId;
-      const j = (idx + 1) % scenes.length;
-      return scenes[j].id;
-    });
+    stepScene(1);
   }
   function prevScene() {
-    setCurrentSceneId((prevId) => {
-      const scenes = showRef.current?.scenes || [];
-      const idx = scenes.findIndex((s) => s.id === prevId);
-      if (idx < 0 || scenes.length === 0) return prevId;
-      const j = (idx - 1 + scenes.length) % scenes.length;
-      return scenes[j].id;
+    stepScene(-1);
+  }
+  function stepScene(delta) {
+    const scenes = showRef.current?.scenes || [];
+    const fromId = currentSceneRef.current?.id;
+    const idx = scenes.findIndex((s) => s.id === fromId);
+    if (idx < 0 || scenes.length === 0) return;
+    const j = (idx + delta + scenes.length) % scenes.length;
+    goToScene(scenes[j].id);
+  }
+
+  // Move to another scene, running the incoming scene's transition: fade or
+  // cut whatever the outgoing scene still has playing and start the pads the
+  // incoming scene designates.
+  function goToScene(sceneId) {
+    const fromId = currentSceneRef.current?.id;
+    const target = (showRef.current?.scenes || []).find(
+      (s) => s.id === sceneId
+    );
+    if (!target || sceneId === fromId) return;
+    const tr = normalizeSceneTransition(target.transition);
+    const ms = tr.mode === "cut" || tr.mode === "none" ? 0 : tr.timeMs;
+    // Cancel starts still pending from a previous scene change
+    sceneStartTimersRef.current.forEach((cancel) => cancel());
+    sceneStartTimersRef.current = [];
+    initialAutoPlayRef.current = false;
+    sceneEnterRef.current = {
+      sceneId,
+      waitMs: tr.mode === "fadeOutThenStart" ? ms : 0,
+      fadeIn:
+        tr.mode === "crossfade" && ms > 0 ? { ms, curve: tr.curve } : null,
+      // Pads the transition starts itself
+      skipIds: tr.mode === "none" ? [] : tr.startPadIds,
+    };
+    currentSceneRef.current = target;
+    setCurrentSceneId(sceneId);
+    if (tr.mode === "none") return;
+    stopScenePads(fromId, ms, tr.curve);
+    const startPads = () => {
+      tr.startPadIds.forEach((id) => {
+        const found = findPadByAny(target, id);
+        if (!found) return;
+        const [gk, p] = found;
+        if (tr.mode === "crossfade" && ms > 0) {
+          pendingFadeInRef.current.set(padKey(sceneId, gk, p.id), {
+            ms,
+            curve: tr.curve,
+          });
+        }
+        setPadPlaying(gk, p.id, true, sceneId);
+      });
+    };
+    const ctx = ensureAudioContext();
+    if (tr.mode === "fadeOutThenStart" && ms > 0 && ctx) {
+      sceneStartTimersRef.current.push(
+        runAtAudioTime(ctx, ctx.currentTime + ms / 1000, startPads)
+      );
+    } else {
+      startPads();
+    }
+  }
+
+  // Start the pads marked "auto-play on scene enter", each after its own
+  // delay on top of any fade-out wait from the scene transition
+  function autoPlayScenePads(scene, enter) {
+    const ctx = ensureAudioContext();
+    ["background", "ambients", "sfx"].forEach((gk) => {
+      (scene[gk] || []).forEach((p) => {
+        if (!p.autoPlay || enter.skipIds.includes(p.id)) return;
+        if (!p.assetUrl && !p.assetPath) return;
+        const delayMs =
+          enter.waitMs + Math.max(0, Number(p.autoPlayDelayMs) || 0);
+        const start = () => {
+          if (currentSceneRef.current?.id !== scene.id) return;
+          if (enter.fadeIn) {
+            pendingFadeInRef.current.set(
+              padKey(scene.id, gk, p.id),
+              enter.fadeIn
+            );
+          }
+          setPadPlaying(gk, p.id, true, scene.id);
+        };
+        if (delayMs > 0 && ctx) {
+          sceneStartTimersRef.current.push(
+            runAtAudioTime(ctx, ctx.currentTime + delayMs / 1000, start)
+          );
+        } else {
+          start();
+        }
+      });
+    });
+  }
+
+  // Fade (or cut when ms is 0) every voice belonging to a scene and mark its
+  // pads stopped. Scene changes do not fire the pads' onStop triggers.
+  function stopScenePads(sceneId, ms, curve) {
+    if (!sceneId) return;
+    stopVoices((sid) => sid === sceneId, ms, curve);
+  }
+
+  // Fade or cut every live voice for which `match(sceneId, groupKey, padId)`
+  // holds, without firing onStop triggers
+  function stopVoices(match, ms, curve) {
+    const markStopped = (sid, gk, id) =>
+      updateSceneById(sid, (sc) => {
+        const p = findPad(sc, gk, id);
+        if (p) p.playing = false;
+        return sc;
+      });
+    Array.from(padAudioRef.current.entries()).forEach(([key, ref]) => {
+      const [sid, gk, id] = key.split(":");
+      if (!match(sid, gk, id)) return;
+      if (ms > 0) {
+        fadeVolume(
+          sid,
+          gk,
+          id,
+          getPadVolume(ref),
+          0,
+          ms,
+          () => {
+            stopPadImmediate(sid, gk, id);
+            markStopped(sid, gk, id);
+          },
+          curve
+        );
+      } else {
+        stopPadImmediate(sid, gk, id);
+        markStopped(sid, gk, id);
+      }
     });
   }
 
@@ -779,11 +1426,50 @@ function App() {
     setPadLevel(groupKey, pad.id, desired);
   }
 
+  // Master fader with the same soft-takeover as the channel faders
+  function handleApcMasterFader(value /*0..127*/) {
+    const desired = ccToVolume(value);
+    const current = normalizeMixer(showRef.current?.mixer).master.level;
+    if (sliderLatchRef.current.get("master") !== true) {
+      if (Math.abs(desired - current) > 0.04) return;
+      sliderLatchRef.current.set("master", true);
+    }
+    setBusLevel("master", desired);
+  }
+
+  // Track activator lit = bus not muted; solo lit = bus soloed
+  function apcSendMixerLeds() {
+    if (!midiOut) return;
+    const m = normalizeMixer(showRef.current?.mixer);
+    APC_TRACK_GROUP_KEYS.forEach((gk, i) => {
+      const g = m.groups[gk];
+      try {
+        midiOut.send([0x90 | i, APC_TRACK_MUTE_NOTE, g.mute ? 0 : 1]);
+        midiOut.send([0x90 | i, APC_TRACK_SOLO_NOTE, g.solo ? 1 : 0]);
+      } catch {}
+    });
+  }
+
   function clearAllApcLeds(channel = 0) {
     if (!midiOut) return;
     for (let n = 0; n < 40; n++) {
       apcOffClipLed(midiOut, n, channel);
     }
+    // The meter row was cleared too; have the meter resend all of it
+    apcMeterLitRef.current = -1;
+  }
+
+  // Light the first `lit` segments of the meter row, sending only changes
+  function apcSendMeterRow(lit) {
+    if (!midiOut) return;
+    const prev = apcMeterLitRef.current;
+    APC_METER_ROW.forEach((padNumber, i) => {
+      const on = i < lit;
+      if (prev >= 0 && on === i < prev) return;
+      if (on) apcSendClipLed(midiOut, padNumber - 1, APC_METER_VELS[i], 0);
+      else apcOffClipLed(midiOut, padNumber - 1, 0);
+    });
+    apcMeterLitRef.current = lit;
   }
 
   function applySceneToAPC(scene) {
@@ -877,7 +1563,9 @@ function App() {
   }
 
   // --- Audio engine ---
-  // Routing helpers (use HTMLAudioElement.setSinkId when available)
+  // Mixing graph: source -> pad gain -> group bus -> output bus -> destination.
+  // Output routes on a non-default device are bridged through a MediaStream
+  // into a hidden <audio> element so setSinkId can still pick the device.
   function ensureRoutingSettings() {
     const s = show?.settings || {};
     const audioRouting = s.audioRouting || {};
@@ -902,6 +1590,26 @@ function App() {
     }
   }
 
+  function getChannelsForRouteKey(routeKey) {
+    try {
+      const { outputs } = ensureRoutingSettings();
+      return normalizeChannels(
+        outputs.find((x) => x.key === routeKey)?.channels
+      );
+    } catch {
+      return null;
+    }
+  }
+
+  function getLimiterForRouteKey(routeKey) {
+    try {
+      const { outputs } = ensureRoutingSettings();
+      return normalizeLimiter(outputs.find((x) => x.key === routeKey)?.limiter);
+    } catch {
+      return normalizeLimiter(null);
+    }
+  }
+
   function getRouteKeyForPad(groupKey, pad) {
     try {
       if (pad?.routeKey) return pad.routeKey;
@@ -912,84 +1620,763 @@ function App() {
     }
   }
   function ensureAudioContext() {
-    // Deprecated for routing: keep for potential future use; not required when using HTMLAudioElement routing
-    return null;
+    let ctx = audioCtxRef.current;
+    if (!ctx) {
+      const Ctor = audioContextCtor();
+      if (!Ctor) return null;
+      // Run at the show's sample rate; the browser resamples to the device
+      const sampleRate = engineSampleRate(showRef.current?.settings);
+      try {
+        ctx = new Ctor({ latencyHint: "interactive", sampleRate });
+      } catch {
+        try {
+          ctx = new Ctor({ latencyHint: "interactive" });
+        } catch {
+          return null;
+        }
+      }
+      audioCtxRef.current = ctx;
+      // Voices started while the module loads get their shifter after
+      loadPitchShifter(ctx).then(() => {
+        if (audioCtxRef.current === ctx) applyLiveVoiceSettings();
+      });
+    }
+    // Contexts created before a user gesture start suspended
+    if (ctx.state === "suspended") {
+      Promise.resolve(ctx.resume()).catch(() => {});
+    }
+    return ctx;
   }
 
-  function padKey(sceneId, groupKey, padId) {
-    return `${sceneId}:${groupKey}:${padId}`;
+  // Drop the whole graph and close the context; the next sound builds a new
+  // one (used when the sample rate changes)
+  function closeAudioEngine() {
+    const ctx = audioCtxRef.current;
+    if (!ctx) return;
+    audioCtxRef.current = null;
+    outputBusesRef.current.forEach((bus) => {
+      try {
+        bus.sinkEl?.pause();
+        if (bus.sinkEl) bus.sinkEl.srcObject = null;
+      } catch {}
+    });
+    outputBusesRef.current.clear();
+    groupBusesRef.current.clear();
+    fxReturnsRef.current.clear();
+    deviceSinksRef.current.forEach((sink) => closeDeviceSink(sink));
+    deviceSinksRef.current.clear();
+    Promise.resolve(ctx.close()).catch(() => {});
   }
 
-  function handlePadAudio(scene, groupKey, pad, shouldPlay, usePause = false) {
-    if (!pad.assetUrl && !pad.assetPath) return;
-    if (shouldPlay) {
-      playPad(scene.id, groupKey, pad);
-    } else {
-      if (usePause) {
-        pausePad(scene.id, groupKey, pad.id);
-      } else {
-        stopPad(scene.id, groupKey, pad.id);
+  function getOutputBus(routeKey) {
+    const ctx = ensureAudioContext();
+    if (!ctx) return null;
+    let bus = outputBusesRef.current.get(routeKey);
+    if (!bus) {
+      bus = { gain: ctx.createGain(), deviceId: null };
+      bus.gain.gain.value = normalizeMixer(showRef.current?.mixer).master.level;
+      bus.meter = createMeterTap(ctx, bus.gain);
+      outputBusesRef.current.set(routeKey, bus);
+    }
+    const deviceId = getDeviceIdForRouteKey(routeKey);
+    const limiter = getLimiterForRouteKey(routeKey);
+    if (limiter.enabled && !bus.limiter) {
+      bus.limiter = createOutputLimiter(ctx);
+    }
+    if (bus.limiter) applyLimiterSettings(ctx, bus.limiter, limiter);
+    const limited = limiter.enabled && !!bus.limiter;
+    const channels = getChannelsForRouteKey(routeKey);
+    const sink = channels ? getDeviceSink(deviceId) : null;
+    const wiring = [deviceId, limited, channels, sink?.size].join("|");
+    if (bus.wiring !== wiring) {
+      connectOutputBus(ctx, bus, deviceId, limited, sink, channels);
+      bus.wiring = wiring;
+    }
+    return bus.gain;
+  }
+
+  // The merger feeding a multichannel device, sized for the highest channel
+  // any route asks of it. Resizing replaces the merger and rewires the
+  // routes already on it.
+  function getDeviceSink(deviceId) {
+    const ctx = ensureAudioContext();
+    if (!ctx) return null;
+    const { outputs } = ensureRoutingSettings();
+    let size = 2;
+    outputs.forEach((o) => {
+      const ch = normalizeChannels(o.channels);
+      if (ch && (o.deviceId || "default") === deviceId) {
+        size = Math.max(size, ...ch);
       }
+    });
+    if (!deviceId || deviceId === "default") {
+      size = Math.min(size, ctx.destination.maxChannelCount || 2);
     }
+    let sink = deviceSinksRef.current.get(deviceId);
+    if (sink?.size === size) return sink;
+    closeDeviceSink(sink);
+    sink = openDeviceSink(ctx, deviceId, size);
+    if (!sink) return null;
+    deviceSinksRef.current.set(deviceId, sink);
+    // Routes wired to the old merger move over to the new one
+    outputBusesRef.current.forEach((bus, key) => {
+      if (bus.deviceId !== deviceId || !bus.wiring) return;
+      bus.wiring = null;
+      getOutputBus(key);
+    });
+    return sink;
   }
 
-  function playPad(sceneId, groupKey, pad) {
-    const key = padKey(sceneId, groupKey, pad.id);
-    // Ensure any previous instance is fully stopped immediately to avoid overlapping
-    stopPadImmediate(sceneId, groupKey, pad.id);
-    const srcUrl =
-      pad.assetUrl ||
-      (/^(https?:|blob:|tauri:)/.test(pad.assetPath || "")
-        ? pad.assetPath
-        : null);
-    if (!srcUrl) {
-      setStatus(
-        "Local file path cannot be played directly. Use the file chooser."
-      );
-      return;
+  function getGroupBus(groupKey, routeKey) {
+    const ctx = ensureAudioContext();
+    if (!ctx) return null;
+    const out = getOutputBus(routeKey);
+    const key = `${groupKey}>${routeKey}`;
+    let bus = groupBusesRef.current.get(key);
+    if (!bus) {
+      bus = { input: ctx.createGain(), duck: ctx.createGain() };
+      bus.input.gain.value = groupBusGain(showRef.current?.mixer, groupKey);
+      bus.input.connect(bus.duck);
+      if (out) bus.duck.connect(out);
+      bus.meter = createMeterTap(ctx, bus.duck);
+      groupBusesRef.current.set(key, bus);
     }
-    const el = new Audio(srcUrl);
-    el.crossOrigin = "anonymous";
-    el.loop = pad.playbackMode === "loop";
-    try {
-      const routeKey = getRouteKeyForPad(groupKey, pad);
-      const deviceId = getDeviceIdForRouteKey(routeKey);
-      if (typeof el.setSinkId === "function" && deviceId) {
-        Promise.resolve(el.setSinkId(deviceId)).catch(() => {});
-      }
-    } catch {}
-    // Determine target level and whether to fade in
-    const targetLevel =
-      typeof pad.baseLevel === "number"
-        ? pad.baseLevel
-        : typeof pad.level === "number"
-        ? pad.level
-        : 0.8;
+    return bus.input;
+  }
+
+  function getFxReturn(kind, groupKey, routeKey) {
+    const ctx = ensureAudioContext();
+    if (!ctx) return null;
+    const key = `${kind}>${groupKey}>${routeKey}`;
+    let fx = fxReturnsRef.current.get(key);
+    if (!fx) {
+      fx = createFxReturn(ctx, kind);
+      if (!fx) return null;
+      const bus = getGroupBus(groupKey, routeKey);
+      if (bus) fx.output.connect(bus);
+      fxReturnsRef.current.set(key, fx);
+    }
+    return fx.input;
+  }
+
+  // Set a voice's pan, EQ and send levels from its pad
+  function applyVoiceTone(voice, pad) {
+    const ctx = audioCtxRef.current;
+    if (!ctx || !voice?.tone) return;
+    const tone = padTone(pad);
+    const sig = JSON.stringify(tone);
+    if (voice.toneSig === sig) return;
+    voice.toneSig = sig;
+    applyToneChain(ctx, voice.tone, tone);
+    Object.entries(voice.sends || {}).forEach(([kind, send]) => {
+      try {
+        send.gain.setTargetAtTime(tone[kind] || 0, ctx.currentTime, 0.02);
+      } catch {}
+    });
+  }
+
+  // Meter taps for the level meters: a lane's buses on every route, and the
+  // output routes after the master fader (all of them when no key is given)
+  function groupMeterTaps(groupKey) {
+    const list = [];
+    groupBusesRef.current.forEach((bus, key) => {
+      if (key.split(">")[0] === groupKey) list.push(bus.meter);
+    });
+    return list;
+  }
+
+  function outputMeterTaps(routeKey) {
+    const list = [];
+    outputBusesRef.current.forEach((bus, key) => {
+      if (!routeKey || key === routeKey) list.push(bus.meter);
+    });
+    return list;
+  }
+
+  // Limiters currently in the signal path, for the gain-reduction readouts
+  function outputLimiters(routeKey) {
+    const list = [];
+    outputBusesRef.current.forEach((bus, key) => {
+      if (bus.limited && (!routeKey || key === routeKey)) {
+        list.push(bus.limiter.compressor);
+      }
+    });
+    return list;
+  }
+
+  // Set every live bus to the mixer: lane faders with mute/solo on the group
+  // buses, the master fader on the output buses
+  function applyMixer() {
+    const ctx = audioCtxRef.current;
+    if (!ctx) return;
+    const mixer = showRef.current?.mixer;
+    const smooth = (param, value) => {
+      try {
+        param.cancelScheduledValues(ctx.currentTime);
+        param.setTargetAtTime(value, ctx.currentTime, 0.01);
+      } catch {}
+    };
+    groupBusesRef.current.forEach((bus, key) =>
+      smooth(bus.input.gain, groupBusGain(mixer, key.split(">")[0]))
+    );
+    const master = normalizeMixer(mixer).master.level;
+    outputBusesRef.current.forEach((bus) => smooth(bus.gain.gain, master));
+  }
+
+  function setMixer(mutator) {
+    setShow((prev) => ({
+      ...prev,
+      mixer: mutator(normalizeMixer(prev.mixer)),
+    }));
+  }
+
+  function setBusLevel(groupKey, level) {
+    setMixer((m) => {
+      if (groupKey === "master") m.master.level = clamp01(level);
+      else if (m.groups[groupKey]) m.groups[groupKey].level = clamp01(level);
+      return m;
+    });
+  }
+
+  function toggleBusFlag(groupKey, flag) {
+    setMixer((m) => {
+      const g = m.groups[groupKey];
+      if (g) g[flag] = !g[flag];
+      return m;
+    });
+  }
+
+  // Apply the show's ducking rules: while any voice of a rule's source group
+  // is sounding, its target group is pulled down by the rule's amount (the
+  // deepest active rule wins) over the attack time, and restored over the
+  // release time once the source falls silent
+  function updateDucking() {
+    const ctx = audioCtxRef.current;
+    if (!ctx) return;
+    const rules = showRef.current?.settings?.ducking || [];
+    const sounding = new Set();
+    padAudioRef.current.forEach((ref, key) => {
+      const gk = key.split(":")[1];
+      if ([ref, ...(ref.layers || [])].some((v) => !v.el.paused)) {
+        sounding.add(gk);
+      }
+    });
+    const active = new Map();
+    rules.forEach((r) => {
+      if (!r?.sourceGroup || !r.targetGroup) return;
+      if (r.sourceGroup === r.targetGroup || !sounding.has(r.sourceGroup)) {
+        return;
+      }
+      const cur = active.get(r.targetGroup);
+      if (!cur || (Number(r.amountDb) || 0) > (Number(cur.amountDb) || 0)) {
+        active.set(r.targetGroup, r);
+      }
+    });
+    const now = ctx.currentTime;
+    groupBusesRef.current.forEach((bus, key) => {
+      const rule = active.get(key.split(">")[0]);
+      const level = rule
+        ? dbToLinear(-Math.max(0, Number(rule.amountDb) || 0))
+        : 1;
+      const prevLevel = bus.duckLevel ?? 1;
+      if (level === prevLevel) return;
+      // Attack of the rule taking hold, release of the one letting go
+      const ms =
+        level < prevLevel
+          ? Number.isFinite(rule.attackMs)
+            ? rule.attackMs
+            : 150
+          : Number.isFinite(bus.duckRule?.releaseMs)
+          ? bus.duckRule.releaseMs
+          : 800;
+      const param = bus.duck.gain;
+      try {
+        param.cancelScheduledValues(now);
+        param.setValueAtTime(param.value, now);
+        param.linearRampToValueAtTime(level, now + Math.max(0, ms) / 1000);
+      } catch {}
+      bus.duckLevel = level;
+      bus.duckRule = rule || bus.duckRule;
+    });
+  }
+
+  // Follow a playlist track: with a crossfade set, the next track is started
+  // that long before this one ends (re-armed on play, seek and speed
+  // changes); otherwise the 'ended' handler moves on after the gap
+  function armPlaylistTrack(sceneId, groupKey, pad, voice, playlist) {
+    voice.playlist = playlist;
+    setPlaylistTracks((prev) => ({
+      ...prev,
+      [padKey(sceneId, groupKey, pad.id)]: {
+        current: playlist.order[playlist.pos],
+        next: playlist.order[playlistStep(playlist, 1, true) ?? -1] ?? null,
+      },
+    }));
+    const { el } = voice;
+    const xfadeSec = Math.max(0, Number(pad.playlistCrossfadeMs) || 0) / 1000;
+    let cancel = null;
+    const disarm = () => {
+      cancel?.();
+      cancel = null;
+    };
+    const arm = () => {
+      disarm();
+      const ctx = ensureAudioContext();
+      if (!ctx || el.paused || !xfadeSec || voice.advanced) return;
+      if (!Number.isFinite(el.duration)) return;
+      const aheadSec =
+        (el.duration - xfadeSec - el.currentTime) / (el.playbackRate || 1);
+      cancel = runAtAudioTime(
+        ctx,
+        ctx.currentTime + Math.max(0, aheadSec),
+        () => advancePlaylist(sceneId, groupKey, pad.id, voice, true)
+      );
+    };
+    el.addEventListener("playing", arm);
+    el.addEventListener("seeked", arm);
+    el.addEventListener("ratechange", arm);
+    el.addEventListener("durationchange", arm);
+    el.addEventListener("pause", disarm);
+    voice.cancelPlaylist = () => {
+      disarm();
+      voice.cancelGap?.();
+      voice.cancelGap = null;
+      el.removeEventListener("playing", arm);
+      el.removeEventListener("seeked", arm);
+      el.removeEventListener("ratechange", arm);
+      el.removeEventListener("durationchange", arm);
+      el.removeEventListener("pause", disarm);
+    };
+  }
+
+  // A playlist track finished (or reached its crossfade point): start the
+  // next one, after the gap when there is no crossfade. The last track ends
+  // the pad like any one-shot.
+  function advancePlaylist(sceneId, groupKey, padId, voice, crossfade = false) {
+    if (voice.advanced) {
+      // A track that was crossfaded out has now ended as a layer
+      if (!crossfade) handleVoiceEnded(sceneId, groupKey, padId, voice);
+      return;
+    }
+    const playlist = voice.playlist;
+    const nextPos = playlistStep(playlist, 1);
+    if (nextPos == null) {
+      if (!crossfade) handleVoiceEnded(sceneId, groupKey, padId, voice);
+      return;
+    }
+    const sc = (showRef.current?.scenes || []).find((s) => s.id === sceneId);
+    const pad = sc ? findPad(sc, groupKey, padId) : null;
+    if (!pad) {
+      // The pad or its scene is gone: end here instead of moving on
+      if (!crossfade) handleVoiceEnded(sceneId, groupKey, padId, voice);
+      return;
+    }
+    voice.advanced = true;
+    const gapMs = Math.max(0, Number(pad.playlistGapMs) || 0);
+    const ctx = audioCtxRef.current;
+    if (!crossfade && gapMs > 0 && ctx) {
+      voice.cancelGap = runAtAudioTime(
+        ctx,
+        ctx.currentTime + gapMs / 1000,
+        () => startPlaylistTrack(sceneId, groupKey, pad, playlist, nextPos)
+      );
+      return;
+    }
+    startPlaylistTrack(sceneId, groupKey, pad, playlist, nextPos);
+  }
+
+  // Play track `pos` of a playlist pad. A still-sounding previous track is
+  // faded out over the crossfade time while the new one fades in.
+  function startPlaylistTrack(sceneId, groupKey, pad, playlist, pos) {
+    const key = padKey(sceneId, groupKey, pad.id);
+    const prev = padAudioRef.current.get(key);
+    if (prev) {
+      prev.advanced = true;
+      prev.cancelGap?.();
+    }
+    playlist.pos = pos;
+    const xfadeMs = Math.max(0, Number(pad.playlistCrossfadeMs) || 0);
+    const crossfade = !!prev && !prev.el.paused && xfadeMs > 0;
+    // Only the first track takes the pad's own fade-in
+    pendingFadeInRef.current.set(key, {
+      ms: crossfade ? xfadeMs : 0,
+      curve: "equalPower",
+    });
+    playPad(sceneId, groupKey, pad, playlist, crossfade);
+    if (!crossfade) return;
+    const ctx = audioCtxRef.current;
+    try {
+      const param = prev.gain.gain;
+      const now = ctx.currentTime;
+      const end = now + xfadeMs / 1000;
+      param.cancelScheduledValues(now);
+      scheduleGainFade(param, param.value, 0, now, end, "equalPower");
+      prev.fadeEndsAt = end;
+      runAtAudioTime(ctx, end, () => {
+        const cur = padAudioRef.current.get(key);
+        if (cur) cur.layers = (cur.layers || []).filter((v) => v !== prev);
+        releasePadVoice(prev);
+      });
+    } catch {}
+  }
+
+  // Skip to the next or previous track of a playing playlist pad. Skipping
+  // past the last track stops the pad; going back from the first restarts it.
+  function stepPlaylist(groupKey, padId, dir) {
+    const scene = currentSceneRef.current;
+    if (!scene) return;
+    const ref = padAudioRef.current.get(padKey(scene.id, groupKey, padId));
+    const pad = findPad(scene, groupKey, padId);
+    if (!ref?.playlist || !pad) return;
+    const pos = playlistStep(ref.playlist, dir);
+    if (pos == null && dir > 0) {
+      setPadPlaying(groupKey, padId, false);
+      return;
+    }
+    startPlaylistTrack(
+      scene.id,
+      groupKey,
+      pad,
+      ref.playlist,
+      pos ?? ref.playlist.pos
+    );
+  }
+
+  // Choose the next file of a pool pad by its order setting. Shuffle deals
+  // every file once per round and never repeats across rounds; the
+  // round-robin position and shuffle deck persist per pad key.
+  function pickPoolFile(key, pad, files) {
+    const n = files.length;
+    const state = poolStateRef.current.get(key) || { last: -1, deck: [] };
+    let pick;
+    if (pad.poolOrder === "roundRobin") {
+      pick = (state.last + 1) % n;
+    } else if (pad.poolOrder === "shuffle") {
+      state.deck = state.deck.filter((i) => i < n);
+      if (state.deck.length === 0) {
+        state.deck = shuffleInPlace(Array.from({ length: n }, (_, i) => i));
+        if (state.deck[0] === state.last) state.deck.push(state.deck.shift());
+      }
+      pick = state.deck.shift();
+    } else {
+      pick = Math.floor(Math.random() * n);
+    }
+    state.last = pick;
+    poolStateRef.current.set(key, state);
+    return pick;
+  }
+
+  // Random level and pitch variation of a new voice, within the pad's ranges
+  function applyVoiceVariation(voice, pad) {
+    const spread = (range) => {
+      const r = Math.max(0, Number(range) || 0);
+      return r ? (Math.random() * 2 - 1) * r : 0;
+    };
+    const levelDb = spread(pad.levelVariationDb);
+    voice.pitchOffset = spread(pad.pitchVariationSemitones);
+    try {
+      voice.trim.gain.value = dbToLinear(levelDb);
+    } catch {}
+    if (voice.pitchOffset) applyPadRate(voice, pad, voice.pitchOffset);
+  }
+
+  // Build an element-backed voice wired into the mixing graph
+  function createPadVoice(groupKey, pad, srcUrl, initialLevel) {
+    const ctx = ensureAudioContext();
+    if (!ctx) {
+      setStatus("Web Audio is not supported in this browser");
+      return null;
+    }
+    const el = takePreloadedElement(srcUrl) || new Audio(srcUrl);
+    el.crossOrigin = "anonymous";
+    el.loop = isLoopingMode(pad.playbackMode);
+    // Ducking follows whether voices are sounding
+    el.addEventListener("playing", updateDucking);
+    el.addEventListener("pause", updateDucking);
+    el.addEventListener("ended", updateDucking);
+    const gain = ctx.createGain();
+    gain.gain.value = clamp01(initialLevel);
+    // Per-voice level offset (random variation) ahead of the fader and fades
+    const trim = ctx.createGain();
+    const routeKey = getRouteKeyForPad(groupKey, pad);
+    let source = null;
+    let pitch = null;
+    let tone = null;
+    const sends = {};
+    try {
+      source = ctx.createMediaElementSource(el);
+      // Pitch shifter for the semitone offset; without it the offset falls
+      // back to varispeed (see applyPadRate)
+      pitch = createPitchShifter(ctx);
+      if (pitch) {
+        source.connect(pitch);
+        pitch.connect(trim);
+      } else {
+        source.connect(trim);
+      }
+      // Pan and EQ sit before the pad fader; the effect sends are post-fader
+      // and their returns go back through the lane bus
+      tone = createToneChain(ctx);
+      trim.connect(tone.input);
+      tone.output.connect(gain);
+      const bus = getGroupBus(groupKey, routeKey);
+      if (bus) gain.connect(bus);
+      FX_SEND_KINDS.forEach((kind) => {
+        const send = ctx.createGain();
+        send.gain.value = 0;
+        gain.connect(send);
+        const fx = getFxReturn(kind, groupKey, routeKey);
+        if (fx) send.connect(fx);
+        sends[kind] = send;
+      });
+    } catch {
+      setStatus("Could not route this audio file");
+      return null;
+    }
+    const voice = { el, source, pitch, trim, gain, tone, sends };
+    voice.meter = createMeterTap(ctx, gain);
+    applyPadRate(voice, pad);
+    applyVoiceTone(voice, pad);
+    return voice;
+  }
+
+  // Hand out the primed element for a file, if there is one, and prime
+  // another for the next trigger. An element can feed only one voice, so the
+  // spare cannot be reused; its replacement buffers from memory.
+  function takePreloadedElement(url) {
+    const entry = preloadRef.current.get(url);
+    if (!entry) return null;
+    const el = entry.spare || new Audio(entry.blobUrl);
+    entry.spare = createPreloadElement(entry.blobUrl);
+    return el;
+  }
+
+  // Load a file into memory, or join the load already under way. The file
+  // is kept if it is still wanted once loaded; the pass that asked for it
+  // then finds it in preloadRef.
+  function loadPreload(url) {
+    let pending = preloadPendingRef.current.get(url);
+    if (!pending) {
+      pending = fetchPreload(url)
+        .then(
+          (entry) => {
+            preloadSizeCache.set(url, entry.bytes);
+            if (preloadWantedRef.current.has(url)) keepPreload(url, entry);
+            else dropPreloadEntry(entry);
+          },
+          () => {}
+        )
+        .finally(() => preloadPendingRef.current.delete(url));
+      preloadPendingRef.current.set(url, pending);
+    }
+    return pending;
+  }
+
+  // Fetch a file into memory and wait until an element can play it through.
+  // The file stays as stored; the browser still decodes it as it plays.
+  async function fetchPreload(url) {
+    const blob = await fetchFileBlob(url);
+    const blobUrl = url.startsWith("blob:") ? url : URL.createObjectURL(blob);
+    const entry = { url, blob, blobUrl, bytes: blob.size };
+    entry.owned = blobUrl !== url;
+    entry.spare = createPreloadElement(blobUrl);
+    await new Promise((resolve, reject) => {
+      const el = entry.spare;
+      // Browsers that hold back on preloading may never report
+      // canplaythrough; such a file is not counted as ready
+      const timer = setTimeout(
+        () => reject(new Error("not primed in time")),
+        10000
+      );
+      el.addEventListener(
+        "canplaythrough",
+        () => {
+          clearTimeout(timer);
+          resolve();
+        },
+        { once: true }
+      );
+      el.addEventListener(
+        "error",
+        () => {
+          clearTimeout(timer);
+          reject(new Error("decode failed"));
+        },
+        { once: true }
+      );
+    }).catch((err) => {
+      dropPreloadEntry(entry);
+      throw err;
+    });
+    return entry;
+  }
+
+  function dropPreloadEntry(entry) {
+    try {
+      entry.spare?.removeAttribute("src");
+      entry.spare?.load();
+    } catch {}
+    entry.spare = null;
+    if (memoryFileBlobs.get(entry.url) === entry.blob) {
+      memoryFileBlobs.delete(entry.url);
+    }
+    if (entry.owned) URL.revokeObjectURL(entry.blobUrl);
+  }
+
+  function keepPreload(url, entry) {
+    if (preloadRef.current.has(url)) {
+      dropPreloadEntry(entry);
+      return;
+    }
+    preloadRef.current.set(url, entry);
+    // The waveform peaks cache reads preloaded files from memory
+    memoryFileBlobs.set(url, entry.blob);
+  }
+
+  function dropPreload(url) {
+    const entry = preloadRef.current.get(url);
+    if (!entry) return;
+    preloadRef.current.delete(url);
+    dropPreloadEntry(entry);
+  }
+
+  function releasePadVoice(ref) {
+    if (!ref) return;
+    (ref.layers || []).forEach((layer) => releasePadVoice(layer));
+    ref.layers = [];
+    ref.cancelFade?.();
+    ref.cancelMarkers?.();
+    ref.cancelRange?.();
+    ref.cancelPlaylist?.();
+    try {
+      ref.el.pause();
+      ref.el.currentTime = 0;
+    } catch {}
+    try {
+      ref.source?.disconnect();
+    } catch {}
+    try {
+      ref.pitch?.port.postMessage("stop");
+      ref.pitch?.disconnect();
+    } catch {}
+    try {
+      ref.gain?.disconnect();
+      Object.values(ref.sends || {}).forEach((send) => send.disconnect());
+    } catch {}
+  }
+
+  function getPadVolume(ref) {
+    return ref?.gain ? ref.gain.gain.value : 0;
+  }
+
+  function padKey(sceneId, groupKey, padId) {
+    return `${sceneId}:${groupKey}:${padId}`;
+  }
+
+  function handlePadAudio(scene, groupKey, pad, shouldPlay, usePause = false) {
+    if (!pad.assetUrl && !pad.assetPath) return;
+    if (shouldPlay) {
+      playPad(scene.id, groupKey, pad);
+    } else {
+      if (usePause) {
+        pausePad(scene.id, groupKey, pad.id);
+      } else {
+        stopPad(scene.id, groupKey, pad.id);
+      }
+    }
+  }
+
+  // `playlist` is passed when a playlist pad moves on to another track, with
+  // `keepPrevious` when the previous track stays on as a layer to crossfade
+  function playPad(
+    sceneId,
+    groupKey,
+    pad,
+    playlist = null,
+    keepPrevious = false
+  ) {
+    const key = padKey(sceneId, groupKey, pad.id);
+    // Overlapping pads keep sounding voices as layers under the new one;
+    // otherwise any previous instance is stopped immediately
+    let layers = [];
+    const prev = padAudioRef.current.get(key);
+    if (
+      (pad.retrigger === "overlap" || keepPrevious) &&
+      prev &&
+      !prev.el.paused
+    ) {
+      padAudioRef.current.delete(key);
+      layers = [...(prev.layers || []), prev];
+      prev.layers = [];
+      const maxVoices = keepPrevious
+        ? Infinity
+        : Math.max(1, Number(pad.maxVoices) || 4);
+      while (layers.length >= maxVoices) releasePadVoice(layers.shift());
+    } else {
+      stopPadImmediate(sceneId, groupKey, pad.id, true);
+    }
+    // A fade-in trigger may override the pad's own fade-in time
+    const pendingFadeIn = pendingFadeInRef.current.get(key);
+    pendingFadeInRef.current.delete(key);
+    // Playlist pads play their tracks in turn; pool pads pick one of their
+    // files on each trigger
+    const files = padFiles(pad);
+    if (!playlist && pad.playbackMode === "playlist") {
+      playlist = newPlaylist(pad, files.length);
+    }
+    const fileIndex = playlist
+      ? playlist.order[playlist.pos]
+      : files.length > 1
+      ? pickPoolFile(key, pad, files)
+      : 0;
+    const srcUrl = fileSrcUrl(files[fileIndex] || pad);
+    if (!srcUrl) {
+      setStatus(
+        "Local file path cannot be played directly. Use the file chooser."
+      );
+      return;
+    }
+    // Determine target level and whether to fade in
+    const targetLevel =
+      typeof pad.baseLevel === "number"
+        ? pad.baseLevel
+        : typeof pad.level === "number"
+        ? pad.level
+        : 0.8;
     const fadeInMs = Math.max(
       0,
-      Number.isFinite(pad.fadeInMs) ? pad.fadeInMs : 0
+      Number.isFinite(pendingFadeIn?.ms)
+        ? pendingFadeIn.ms
+        : Number.isFinite(pad.fadeInMs)
+        ? pad.fadeInMs
+        : 0
     );
-    el.volume = clamp01(fadeInMs > 0 ? 0 : targetLevel);
-    padAudioRef.current.set(key, { el });
+    const voice = createPadVoice(
+      groupKey,
+      pad,
+      srcUrl,
+      fadeInMs > 0 ? 0 : targetLevel
+    );
+    if (!voice) return;
+    const { el } = voice;
+    voice.layers = layers;
+    voice.fileIndex = fileIndex;
+    applyVoiceVariation(voice, pad);
+    padAudioRef.current.set(key, voice);
     el.onended = () => {
-      if (!el.loop) {
-        // Reflect stopped state in UI
-        setShow((prev) => ({
-          ...prev,
-          scenes: prev.scenes.map((s) => {
-            if (s.id !== sceneId) return s;
-            const sc = structuredClone(s);
-            const arr = groupArray(sc, groupKey);
-            const p = arr.find((x) => x.id === pad.id);
-            if (p) p.playing = false;
-            return sc;
-          }),
-        }));
-      }
+      if (voice.wrap) voice.wrap();
+      else if (voice.playlist)
+        advancePlaylist(sceneId, groupKey, pad.id, voice);
+      else if (!el.loop) handleVoiceEnded(sceneId, groupKey, pad.id, voice);
     };
+    if (playlist) armPlaylistTrack(sceneId, groupKey, pad, voice, playlist);
+    else armPadRange(sceneId, groupKey, pad, voice, true);
+    armPadMarkers(sceneId, groupKey, pad.id, voice);
 
     // Sync WaveSurfer progress with HTML Audio element
     el.ontimeupdate = () => {
+      // Only the newest voice drives the waveform, which draws the first file
+      if (padAudioRef.current.get(key) !== voice || voice.fileIndex) return;
       try {
         const waveSurferMap = window.waveSurferInstances;
         if (!waveSurferMap) return;
@@ -1004,38 +2391,255 @@ function App() {
         // Silently handle any errors with progress sync
       }
     };
+    // A voice that fails to start counts as ended for auto-follow cues
+    const failed = () => {
+      if (padAudioRef.current.get(key) === voice) notifyPadEnded(key);
+    };
     el.onerror = () => {
       setStatus("Could not play this audio file");
+      failed();
     };
     try {
       const p = el.play();
       if (p && typeof p.then === "function")
-        p.catch(() => setStatus("Playback was blocked"));
+        p.catch(() => {
+          setStatus("Playback was blocked");
+          failed();
+        });
     } catch {
       setStatus("Playback error");
+      failed();
     }
     // Apply default fade-in if configured
     if (fadeInMs > 0) {
-      // Ensure the audio element reference exists, then fade up
-      const ensure = () => {
-        const ref = padAudioRef.current.get(key);
-        if (!ref) {
-          requestAnimationFrame(ensure);
-          return;
-        }
-        applyPadVolume(sceneId, groupKey, pad.id, 0);
-        fadeVolume(sceneId, groupKey, pad.id, 0, targetLevel, fadeInMs);
-      };
-      ensure();
+      fadeVolume(
+        sceneId,
+        groupKey,
+        pad.id,
+        0,
+        targetLevel,
+        fadeInMs,
+        null,
+        pendingFadeIn?.curve || pad.fadeInCurve
+      );
+    }
+  }
+
+  // A one-shot reached its end on its own: reflect the stopped state, fire
+  // the pad's onStop and onEnd triggers and wake anything auto-following it
+  function handleVoiceEnded(sceneId, groupKey, padId, voice) {
+    const key = padKey(sceneId, groupKey, padId);
+    const primary = padAudioRef.current.get(key);
+    if (primary !== voice) {
+      // An overlapped layer finished underneath the newest voice
+      if (primary?.layers?.includes(voice)) {
+        primary.layers = primary.layers.filter((v) => v !== voice);
+        releasePadVoice(voice);
+      }
+      return;
+    }
+    if (voice.layers?.length > 0) {
+      // Older layers are still sounding; the latest of them takes over
+      const next = voice.layers[voice.layers.length - 1];
+      next.layers = voice.layers.slice(0, -1);
+      voice.layers = [];
+      releasePadVoice(voice);
+      padAudioRef.current.set(key, next);
+      return;
+    }
+    if (voice.releasing) clearReleasing(key);
+    updateSceneById(sceneId, (sc) => {
+      const p = findPad(sc, groupKey, padId);
+      if (p) p.playing = false;
+      return sc;
+    });
+    const sc = (showRef.current?.scenes || []).find((s) => s.id === sceneId);
+    const pad = sc ? findPad(sc, groupKey, padId) : null;
+    if (pad) {
+      runPadTriggers(sc, pad, "onStop");
+      runPadTriggers(sc, pad, "onEnd");
+    }
+    notifyPadEnded(key);
+  }
+
+  // Wake everything waiting on the pad's end (auto-follow cues)
+  function notifyPadEnded(key) {
+    const watchers = padEndWatchersRef.current.get(key);
+    if (!watchers) return;
+    padEndWatchersRef.current.delete(key);
+    watchers.forEach((cb) => cb());
+  }
+
+  // Confine a voice to the pad's trim points and loop region. The element's
+  // own loop is switched off; the end of each pass is scheduled on the audio
+  // clock and either jumps back (loop start, else trim start) or ends the
+  // voice like a natural end.
+  function armPadRange(sceneId, groupKey, pad, voice, fromStart) {
+    const range = padPlayRange(pad);
+    if (!range) return;
+    const { el } = voice;
+    voice.looping = el.loop;
+    el.loop = false;
+    if (fromStart) el.currentTime = range.startSec;
+    let cancel = null;
+    const disarm = () => {
+      cancel?.();
+      cancel = null;
+    };
+    voice.wrap = () => {
+      disarm();
+      if (voice.looping) {
+        el.currentTime =
+          range.loopStartSec != null ? range.loopStartSec : range.startSec;
+        if (el.paused) el.play().catch(() => {});
+        return;
+      }
+      if (voice.finished) return;
+      voice.finished = true;
+      el.pause();
+      handleVoiceEnded(sceneId, groupKey, pad.id, voice);
+    };
+    const arm = () => {
+      disarm();
+      const ctx = ensureAudioContext();
+      if (!ctx || el.paused) return;
+      if (el.currentTime < range.startSec - 0.01) {
+        el.currentTime = range.startSec; // re-arms from 'seeked'
+        return;
+      }
+      const endSec =
+        voice.looping && range.loopEndSec != null
+          ? range.loopEndSec
+          : range.endSec;
+      // Without an end point the file's own 'ended' event closes the pass
+      if (endSec == null) return;
+      const aheadSec = (endSec - el.currentTime) / (el.playbackRate || 1);
+      cancel = runAtAudioTime(
+        ctx,
+        ctx.currentTime + Math.max(0, aheadSec),
+        voice.wrap
+      );
+    };
+    voice.rearm = arm;
+    el.addEventListener("playing", arm);
+    el.addEventListener("seeked", arm);
+    el.addEventListener("ratechange", arm);
+    el.addEventListener("pause", disarm);
+    voice.cancelRange = () => {
+      disarm();
+      el.removeEventListener("playing", arm);
+      el.removeEventListener("seeked", arm);
+      el.removeEventListener("ratechange", arm);
+      el.removeEventListener("pause", disarm);
+    };
+  }
+
+  // Schedule the pad's time-position markers on the audio clock. They are
+  // re-armed whenever the voice starts, resumes, seeks (looping seeks back
+  // to the start too) or changes speed, and disarmed while it is paused.
+  function armPadMarkers(sceneId, groupKey, padId, voice) {
+    const sc = (showRef.current?.scenes || []).find((s) => s.id === sceneId);
+    const pad = sc ? findPad(sc, groupKey, padId) : null;
+    const markers = (pad?.markers || []).filter(
+      (m) => m && m.action && m.action !== "none" && Number.isFinite(m.timeSec)
+    );
+    if (markers.length === 0) return;
+    const { el } = voice;
+    let cancels = [];
+    const disarm = () => {
+      cancels.forEach((cancel) => cancel());
+      cancels = [];
+    };
+    const arm = () => {
+      disarm();
+      const ctx = ensureAudioContext();
+      if (!ctx || el.paused) return;
+      const rate = el.playbackRate || 1;
+      markers.forEach((m) => {
+        const aheadSec = (m.timeSec - el.currentTime) / rate;
+        if (aheadSec < -0.005) return;
+        cancels.push(
+          runAtAudioTime(ctx, ctx.currentTime + Math.max(0, aheadSec), () => {
+            if (
+              padAudioRef.current.get(padKey(sceneId, groupKey, padId)) !==
+              voice
+            )
+              return;
+            const cur = (showRef.current?.scenes || []).find(
+              (s) => s.id === sceneId
+            );
+            const src = cur ? findPad(cur, groupKey, padId) : null;
+            if (src) runTriggerAction(m, cur, src);
+          })
+        );
+      });
+    };
+    el.addEventListener("playing", arm);
+    el.addEventListener("seeked", arm);
+    el.addEventListener("ratechange", arm);
+    el.addEventListener("pause", disarm);
+    el.addEventListener("ended", disarm);
+    voice.cancelMarkers = () => {
+      disarm();
+      el.removeEventListener("playing", arm);
+      el.removeEventListener("seeked", arm);
+      el.removeEventListener("ratechange", arm);
+      el.removeEventListener("pause", disarm);
+      el.removeEventListener("ended", disarm);
+    };
+  }
+
+  // Stop a release-mode bed by letting its current pass finish and run on
+  // into the outro. Returns false when there is nothing to release (not a
+  // release pad, not playing, or already releasing) so the caller stops it.
+  function releasePadLoop(sceneId, groupKey, padId) {
+    const key = padKey(sceneId, groupKey, padId);
+    const ref = padAudioRef.current.get(key);
+    if (!ref || ref.releasing || ref.finished || ref.el.paused) return false;
+    const sc = (showRef.current?.scenes || []).find((s) => s.id === sceneId);
+    const pad = sc ? findPad(sc, groupKey, padId) : null;
+    if (pad?.playbackMode !== "release") return false;
+    ref.releasing = true;
+    if (ref.wrap) {
+      ref.looping = false;
+      ref.rearm?.();
+    } else {
+      ref.el.loop = false;
+    }
+    setReleasingKeys((keys) => (keys.includes(key) ? keys : [...keys, key]));
+    return true;
+  }
+
+  function clearReleasing(key) {
+    setReleasingKeys((keys) =>
+      keys.includes(key) ? keys.filter((k) => k !== key) : keys
+    );
+  }
+
+  // Call `cb` the next time the pad's voice ends, naturally or by a stop;
+  // returns an unsubscribe function
+  function watchPadEnd(key, cb) {
+    let set = padEndWatchersRef.current.get(key);
+    if (!set) {
+      set = new Set();
+      padEndWatchersRef.current.set(key, set);
     }
+    set.add(cb);
+    return () => set.delete(cb);
   }
 
   function stopPad(sceneId, groupKey, padId) {
     const key = padKey(sceneId, groupKey, padId);
     const ref = padAudioRef.current.get(key);
     if (!ref) return;
+    // A second stop during a release outro cuts it immediately
+    if (ref.releasing) {
+      stopPadImmediate(sceneId, groupKey, padId);
+      return;
+    }
     // Look up pad to fetch its fadeOutMs; fall back to immediate stop
     let fadeOutMs = 0;
+    let fadeOutCurve = "linear";
     try {
       const sc =
         (show.scenes || []).find((s) => s.id === sceneId) ||
@@ -1046,25 +2650,36 @@ function App() {
         0,
         Number.isFinite(pad?.fadeOutMs) ? pad.fadeOutMs : 0
       );
+      fadeOutCurve = pad?.fadeOutCurve || "linear";
     } catch {}
     if (fadeOutMs > 0) {
-      const currentVol = ref.el.volume;
-      fadeVolume(sceneId, groupKey, padId, currentVol, 0, fadeOutMs, () => {
-        stopPadImmediate(sceneId, groupKey, padId);
-      });
+      const currentVol = getPadVolume(ref);
+      fadeVolume(
+        sceneId,
+        groupKey,
+        padId,
+        currentVol,
+        0,
+        fadeOutMs,
+        () => {
+          stopPadImmediate(sceneId, groupKey, padId);
+        },
+        fadeOutCurve
+      );
     } else {
       stopPadImmediate(sceneId, groupKey, padId);
     }
   }
 
   // Immediate stop helper used internally to avoid overlap during retriggers
-  function stopPadImmediate(sceneId, groupKey, padId) {
+  // `restarting` when a new voice replaces this one, which is not an end
+  function stopPadImmediate(sceneId, groupKey, padId, restarting = false) {
     const key = padKey(sceneId, groupKey, padId);
     const ref = padAudioRef.current.get(key);
     if (!ref) return;
+    if (ref.releasing) clearReleasing(key);
     try {
-      ref.el.pause();
-      ref.el.currentTime = 0;
+      releasePadVoice(ref);
       // Reset WaveSurfer progress
       const waveSurferMap = window.waveSurferInstances;
       if (waveSurferMap) {
@@ -1086,6 +2701,7 @@ function App() {
       }));
     } catch {}
     padAudioRef.current.delete(key);
+    if (!restarting) notifyPadEnded(key);
   }
 
   // Pause playback without resetting position (for resume functionality)
@@ -1097,6 +2713,9 @@ function App() {
       console.log("No ref found for pause");
       return;
     }
+    // Only the newest voice can be resumed; overlapped layers stop
+    (ref.layers || []).forEach((layer) => releasePadVoice(layer));
+    ref.layers = [];
     try {
       console.log("Pausing audio at currentTime:", ref.el.currentTime);
       ref.el.pause();
@@ -1137,18 +2756,9 @@ function App() {
         return;
       }
 
-      const el = new Audio(srcUrl);
-      el.crossOrigin = "anonymous";
-      el.loop = pad.playbackMode === "loop";
-      el.volume = clamp01(pad.level || 0.8);
-
-      try {
-        const routeKey = getRouteKeyForPad(groupKey, pad);
-        const deviceId = getDeviceIdForRouteKey(routeKey);
-        if (typeof el.setSinkId === "function" && deviceId) {
-          Promise.resolve(el.setSinkId(deviceId)).catch(() => {});
-        }
-      } catch {}
+      const voice = createPadVoice(groupKey, pad, srcUrl, pad.level || 0.8);
+      if (!voice) return;
+      const { el } = voice;
 
       // Store seek position for later use
       const padSeekKey = `${sceneId}:${groupKey}:${pad.id}`;
@@ -1181,23 +2791,19 @@ function App() {
       });
 
       el.currentTime = 0; // Start from beginning initially
-      ref = { el };
+      ref = voice;
       padAudioRef.current.set(key, ref);
 
       el.onended = () => {
-        if (!el.loop) {
-          updateScene((scene) => {
-            const sc = structuredClone(scene);
-            const arr = groupArray(sc, groupKey);
-            const p = arr.find((x) => x.id === pad.id);
-            if (p) p.playing = false;
-            return sc;
-          });
-        }
+        if (voice.wrap) voice.wrap();
+        else if (!el.loop) handleVoiceEnded(sceneId, groupKey, pad.id, voice);
       };
+      armPadRange(sceneId, groupKey, pad, voice, false);
+      armPadMarkers(sceneId, groupKey, pad.id, voice);
 
       // Sync WaveSurfer progress with HTML Audio element
       el.ontimeupdate = () => {
+        if (padAudioRef.current.get(key) !== voice) return;
         try {
           const waveSurferMap = window.waveSurferInstances;
           if (!waveSurferMap) return;
@@ -1270,23 +2876,64 @@ function App() {
   function applyPadVolume(sceneId, groupKey, padId, level) {
     const key = padKey(sceneId, groupKey, padId);
     const ref = padAudioRef.current.get(key);
-    if (!ref) return;
-    try {
-      ref.el.volume = clamp01(level);
-    } catch {}
+    if (!ref || !ref.gain) return;
+    [ref, ...(ref.layers || [])].forEach((voice) => {
+      try {
+        const ctx = audioCtxRef.current;
+        // A running fade owns the gain until it completes
+        if (voice.fadeEndsAt && ctx.currentTime < voice.fadeEndsAt) return;
+        const param = voice.gain.gain;
+        param.cancelScheduledValues(ctx.currentTime);
+        // Short smoothing constant avoids zipper noise from fader steps
+        param.setTargetAtTime(clamp01(level), ctx.currentTime, 0.01);
+      } catch {}
+    });
   }
 
-  function fadeVolume(sceneId, groupKey, padId, from, to, ms, onDone) {
-    const steps = Math.max(1, Math.floor(Math.max(0, ms) / 16));
-    let i = 0;
-    const step = () => {
-      const v = from + (to - from) * (i / steps);
-      applyPadVolume(sceneId, groupKey, padId, v);
-      i++;
-      if (i <= steps) requestAnimationFrame(step);
-      else onDone && onDone();
-    };
-    requestAnimationFrame(step);
+  // Schedule a gain ramp on the audio clock so fades complete on time even
+  // when the main thread is busy or the tab is in the background
+  function fadeVolume(
+    sceneId,
+    groupKey,
+    padId,
+    from,
+    to,
+    ms,
+    onDone,
+    curve = "linear"
+  ) {
+    const key = padKey(sceneId, groupKey, padId);
+    const ref = padAudioRef.current.get(key);
+    const ctx = audioCtxRef.current;
+    if (!ref || !ref.gain || !ctx) {
+      onDone && onDone();
+      return;
+    }
+    const param = ref.gain.gain;
+    const now = ctx.currentTime;
+    const end = now + Math.max(0, ms) / 1000;
+    try {
+      param.cancelScheduledValues(now);
+      scheduleGainFade(param, clamp01(from), clamp01(to), now, end, curve);
+    } catch {}
+    // Overlapped layers follow the same fade from wherever they are
+    (ref.layers || []).forEach((layer) => {
+      try {
+        const lp = layer.gain.gain;
+        lp.cancelScheduledValues(now);
+        scheduleGainFade(lp, clamp01(lp.value), clamp01(to), now, end, curve);
+        layer.fadeEndsAt = end;
+      } catch {}
+    });
+    // A newer fade on the same voice supersedes this one's completion
+    ref.cancelFade?.();
+    ref.fadeEndsAt = end;
+    ref.cancelFade = runAtAudioTime(ctx, end, () => {
+      ref.cancelFade = null;
+      ref.fadeEndsAt = 0;
+      if (padAudioRef.current.get(key) !== ref) return;
+      onDone && onDone();
+    });
   }
 
   // Seek currently playing audio for a pad to the given progress (0..1)
@@ -1370,18 +3017,17 @@ function App() {
     }));
   }
 
-  function stopAllAudio() {
+  function stopAllAudio(keepKeys) {
     try {
-      padAudioRef.current.forEach((ref, key) => {
-        try {
-          ref.el.pause();
-          ref.el.currentTime = 0;
-        } catch {}
+      Array.from(padAudioRef.current.entries()).forEach(([key, ref]) => {
+        if (keepKeys?.has(key)) return;
+        releasePadVoice(ref);
+        padAudioRef.current.delete(key);
       });
     } catch {}
-    try {
-      padAudioRef.current.clear();
-    } catch {}
+    setReleasingKeys((keys) =>
+      keepKeys ? keys.filter((k) => keepKeys.has(k)) : []
+    );
   }
 
   function runPadTriggers(scene, pad, phase) {
@@ -1408,7 +3054,68 @@ function App() {
       }
     }
     if (!list || list.length === 0) return;
+    runActionList(list, scene, pad);
+  }
+
+  // Keys of the pads an action starts (play/fade in), or null
+  function actionStartKey(t, scene, pad) {
+    if (t?.action !== "play" && t?.action !== "fadeIn") return null;
+    const target = resolveActionTarget(t, scene, pad);
+    return target ? padKey(target[0].id, target[1], target[2].id) : null;
+  }
+
+  function actionStartKeys(list, scene, pad) {
+    return (list || [])
+      .map((t) => actionStartKey(t, scene, pad))
+      .filter(Boolean);
+  }
+
+  // Run a list of trigger/cue actions in order. Each action waits for its own
+  // delay; a 'wait' step pushes back every action after it.
+  function runActionList(list, scene, pad) {
+    const ctx = ensureAudioContext();
+    let offsetMs = 0;
+    list.forEach((t) => {
+      if (!t || t.action === "none") return;
+      if (t.action === "wait") {
+        offsetMs += Math.max(0, Number.isFinite(t.timeMs) ? t.timeMs : 200);
+        return;
+      }
+      const startKey = actionStartKey(t, scene, pad);
+      const run = () => {
+        runTriggerAction(t, scene, pad);
+        // A sound that could not start counts as ended for anything
+        // waiting on it
+        if (startKey && !padAudioRef.current.has(startKey)) {
+          notifyPadEnded(startKey);
+        }
+      };
+      const delayMs = offsetMs + Math.max(0, Number(t.delayMs) || 0);
+      if (delayMs > 0 && ctx) {
+        triggerTimersRef.current.push(
+          runAtAudioTime(ctx, ctx.currentTime + delayMs / 1000, run)
+        );
+      } else {
+        run();
+      }
+    });
+  }
 
+  // Find the [scene, groupKey, pad] an action addresses, falling back to the
+  // source scene/pad
+  function resolveActionTarget(t, scene, pad) {
+    const currentShow = showRef.current || show;
+    const targetSceneId = t.sceneId || scene.id;
+    const targetScene =
+      (currentShow.scenes || []).find((s) => s.id === targetSceneId) || scene;
+    const found = findPadByAny(targetScene, t.padId || pad?.id);
+    return found ? [targetScene, found[0], found[1]] : null;
+  }
+
+  // Execute one action from the trigger vocabulary. `scene`/`pad` are the
+  // source of the action and act as fallbacks when it names no target.
+  // Returns the pad key of the target, or null when nothing was found.
+  function runTriggerAction(t, scene, pad) {
     const findSceneById = (sid) => {
       // Use showRef for more reliable access to latest scenes
       const currentShow = showRef.current || show;
@@ -1426,84 +3133,173 @@ function App() {
       return foundScene;
     };
 
-    list.forEach((t) => {
-      if (!t || t.action === "none") return;
+    if (!t || t.action === "none" || t.action === "wait") return null;
 
-      const targetSceneId = t.sceneId || scene.id;
-      const targetScene = findSceneById(targetSceneId) || scene;
-      const targetPadId = t.padId || pad.id;
+    const targetSceneId = t.sceneId || scene.id;
+    const targetScene = findSceneById(targetSceneId) || scene;
+    const targetPadId = t.padId || pad?.id;
+    const fadeMs = Math.max(0, Number.isFinite(t.timeMs) ? t.timeMs : 200);
 
-      console.log(
-        `Trigger: ${t.action} from scene ${scene.id} pad ${pad.id} to scene ${targetSceneId} pad ${targetPadId}`
+    if (t.action === "gotoScene") {
+      goToScene(targetSceneId);
+      return null;
+    }
+    if (t.action === "stopGroup") {
+      const gk = t.groupKey || "background";
+      stopVoices(
+        (sid, g) => sid === targetScene.id && g === gk,
+        fadeMs,
+        t.curve
+      );
+      return null;
+    }
+    if (t.action === "stopAllExcept") {
+      // Keep the named pad (or the source pad) and stop everything else
+      const keep = findPadByAny(targetScene, targetPadId);
+      const keepKey = keep ? padKey(targetScene.id, keep[0], keep[1].id) : null;
+      stopVoices(
+        (sid, g, id) => padKey(sid, g, id) !== keepKey,
+        fadeMs,
+        t.curve
       );
+      return null;
+    }
 
-      const found = findPadByAny(targetScene, targetPadId);
-      if (!found) {
-        console.log(
-          `Trigger failed: Could not find pad ${targetPadId} in scene ${targetScene.id}`
-        );
-        return;
-      }
-      const [gk, p] = found;
+    console.log(
+      `Trigger: ${t.action} from scene ${scene.id} pad ${pad?.id} to scene ${targetSceneId} pad ${targetPadId}`
+    );
+
+    const found = findPadByAny(targetScene, targetPadId);
+    if (!found) {
       console.log(
-        `Trigger executing: ${t.action} on ${gk}:${p.id} (${p.name || p.label})`
+        `Trigger failed: Could not find pad ${targetPadId} in scene ${targetScene.id}`
       );
-      if (t.action === "play") {
-        setPadPlaying(gk, p.id, true, targetScene.id);
-      } else if (t.action === "stop") {
-        setPadPlaying(gk, p.id, false, targetScene.id);
-      } else if (
-        t.action === "fade" ||
-        t.action === "fadeIn" ||
-        t.action === "fadeOut"
-      ) {
-        const ms = Math.max(0, Number.isFinite(t.timeMs) ? t.timeMs : 200);
-        const targetLevel =
-          typeof p.baseLevel === "number"
-            ? p.baseLevel
-            : typeof p.level === "number"
-            ? p.level
-            : 0.8;
-
-        const key = padKey(targetScene.id, gk, p.id);
-        const ref = padAudioRef.current.get(key);
-        const currentVol = ref ? ref.el.volume : targetLevel;
-
-        const doFadeOut = () => {
-          if (!ref) return; // nothing to fade
-          fadeVolume(targetScene.id, gk, p.id, currentVol, 0, ms, () => {
+      return null;
+    }
+    const [gk, p] = found;
+    console.log(
+      `Trigger executing: ${t.action} on ${gk}:${p.id} (${p.name || p.label})`
+    );
+    if (t.action === "play") {
+      setPadPlaying(gk, p.id, true, targetScene.id);
+    } else if (t.action === "stop") {
+      setPadPlaying(gk, p.id, false, targetScene.id);
+    } else if (t.action === "pause") {
+      if (p.playing)
+        setPadPlaying(gk, p.id, false, targetScene.id, false, true);
+    } else if (t.action === "toggleLoop") {
+      togglePadLoop(targetScene.id, gk, p.id);
+    } else if (t.action === "setLevel") {
+      const level = clamp01(
+        dbToLinear(Number.isFinite(t.levelDb) ? t.levelDb : 0)
+      );
+      rampPadLevel(targetScene.id, gk, p.id, level, fadeMs, t.curve);
+    } else if (
+      t.action === "fade" ||
+      t.action === "fadeIn" ||
+      t.action === "fadeOut"
+    ) {
+      const ms = fadeMs;
+      const targetLevel =
+        typeof p.baseLevel === "number"
+          ? p.baseLevel
+          : typeof p.level === "number"
+          ? p.level
+          : 0.8;
+
+      const key = padKey(targetScene.id, gk, p.id);
+      const ref = padAudioRef.current.get(key);
+      const currentVol = ref ? getPadVolume(ref) : targetLevel;
+
+      const curve = t.curve || "linear";
+
+      const doFadeOut = () => {
+        if (!ref) return; // nothing to fade
+        fadeVolume(
+          targetScene.id,
+          gk,
+          p.id,
+          currentVol,
+          0,
+          ms,
+          () => {
             setPadPlaying(gk, p.id, false, targetScene.id);
-          });
-        };
-
-        const doFadeIn = () => {
-          if (!p.playing) {
-            setPadPlaying(gk, p.id, true, targetScene.id);
-          }
-          // Ensure audio ref exists, then force to 0 and fade up
-          const ensure = () => {
-            const r = padAudioRef.current.get(key);
-            if (!r) {
-              requestAnimationFrame(ensure);
-              return;
-            }
-            applyPadVolume(targetScene.id, gk, p.id, 0);
-            fadeVolume(targetScene.id, gk, p.id, 0, targetLevel, ms);
-          };
-          ensure();
-        };
+          },
+          curve
+        );
+      };
 
-        if (t.action === "fadeOut") {
-          doFadeOut();
-        } else if (t.action === "fadeIn") {
-          doFadeIn();
-        } else {
-          // Legacy 'fade': pick direction based on current playing state
-          if (p.playing) doFadeOut();
-          else doFadeIn();
+      const doFadeIn = () => {
+        if (!p.playing) {
+          // The new voice picks the trigger time up as its fade-in
+          pendingFadeInRef.current.set(key, { ms, curve });
+          setPadPlaying(gk, p.id, true, targetScene.id);
+        } else if (ref) {
+          // Force to 0 and fade up
+          fadeVolume(targetScene.id, gk, p.id, 0, targetLevel, ms, null, curve);
         }
+      };
+
+      if (t.action === "fadeOut") {
+        doFadeOut();
+      } else if (t.action === "fadeIn") {
+        doFadeIn();
+      } else {
+        // Legacy 'fade': pick direction based on current playing state
+        if (p.playing) doFadeOut();
+        else doFadeIn();
+      }
+    }
+    return padKey(targetScene.id, gk, p.id);
+  }
+
+  // Flip a pad between "once" and "loop"; a live voice picks the new mode up
+  // at the end of its current pass. Playlist pads are left alone.
+  function togglePadLoop(sceneId, groupKey, padId) {
+    const ref = padAudioRef.current.get(padKey(sceneId, groupKey, padId));
+    updateSceneById(sceneId, (sc) => {
+      const p = findPad(sc, groupKey, padId);
+      if (!p || p.playbackMode === "playlist") return sc;
+      if (isLoopingMode(p.playbackMode)) {
+        // Remember a loop-with-outro pad's mode so toggling back restores it
+        if (p.playbackMode === "release") p.loopToggleMode = "release";
+        p.playbackMode = "once";
+      } else {
+        p.playbackMode = p.loopToggleMode || "loop";
+        delete p.loopToggleMode;
       }
+      const looping = isLoopingMode(p.playbackMode);
+      if (ref?.wrap) {
+        ref.looping = looping;
+        ref.rearm?.();
+      } else if (ref) {
+        ref.el.loop = looping;
+      }
+      return sc;
+    });
+  }
+
+  // Move a pad's level to `level` over `ms`, ramping a live voice on the
+  // audio clock
+  function rampPadLevel(sceneId, groupKey, padId, level, ms, curve) {
+    updateSceneById(sceneId, (sc) => {
+      const p = findPad(sc, groupKey, padId);
+      if (p) p.level = level;
+      return sc;
     });
+    const ref = padAudioRef.current.get(padKey(sceneId, groupKey, padId));
+    if (ref) {
+      fadeVolume(
+        sceneId,
+        groupKey,
+        padId,
+        getPadVolume(ref),
+        level,
+        ms,
+        null,
+        curve
+      );
+    }
   }
 
   // --- Persistence: export/import & relink ---
@@ -1598,10 +3394,12 @@ function App() {
       const needed = [];
       (show.scenes || []).forEach((scene) => {
         ["background", "ambients", "sfx"].forEach((gk) => {
-          (scene[gk] || []).forEach((p) => {
-            const name = fileNameFromPath(p.assetPath || "");
-            if (!name || isUrlLike(name) || p.assetUrl) return;
-            needed.push(name.toLowerCase());
+          (scene[gk] || []).forEach((pad) => {
+            padFileSlots(pad).forEach((p) => {
+              const name = fileNameFromPath(p.assetPath || "");
+              if (!name || isUrlLike(name) || p.assetUrl) return;
+              needed.push(name.toLowerCase());
+            });
           });
         });
       });
@@ -1623,13 +3421,15 @@ function App() {
         const next = structuredClone(prev);
         (next.scenes || []).forEach((scene) => {
           ["background", "ambients", "sfx"].forEach((gk) => {
-            (scene[gk] || []).forEach((p) => {
-              const key = fileNameFromPath(p.assetPath || "");
-              const url = nameToUrl.get(key);
-              if (url) {
-                p.assetUrl = url;
-                linked++;
-              }
+            (scene[gk] || []).forEach((pad) => {
+              padFileSlots(pad).forEach((p) => {
+                const key = fileNameFromPath(p.assetPath || "");
+                const url = nameToUrl.get(key);
+                if (url) {
+                  p.assetUrl = url;
+                  linked++;
+                }
+              });
             });
           });
         });
@@ -1694,7 +3494,9 @@ function App() {
           <div
             key={s.id}
             className={"sceneItem" + (s.id === currentSceneId ? " active" : "")}
-            onClick={() => setCurrentSceneId(s.id)}
+            onClick={() =>
+              mode === "show" ? goToScene(s.id) : setCurrentSceneId(s.id)
+            }
           >
             <span
               style={s.id === currentSceneId ? { color: "#ffeb3b" } : undefined}
@@ -1820,6 +3622,9 @@ function App() {
           <button className="btn" onClick={() => setMapperOpen(true)}>
             APC Mapper
           </button>
+          <button className="btn" onClick={() => setCueListOpen(true)}>
+            Cue List
+          </button>
           <button className="btn red" onClick={handleNewShow}>
             New Show
           </button>
@@ -1836,6 +3641,23 @@ function App() {
             Relink Files
           </button>
           <div className="spacer" />
+          <BusStrip
+            label="Master"
+            level={mixer.master.level}
+            meter={() => outputMeterTaps()}
+            onLevel={(v) => setBusLevel("master", v)}
+          />
+          {routeOutputs.some((o) => o.limiter?.enabled) && (
+            <GainReductionReadout source={() => outputLimiters()} />
+          )}
+          {routeOutputs.length > 1 &&
+            routeOutputs.map((o) => (
+              <LevelMeter
+                key={o.key}
+                label={o.label || o.key}
+                source={() => outputMeterTaps(o.key)}
+              />
+            ))}
           <span id="status">{status}</span>
           <span style={{ marginLeft: 10, color: "#bbb", fontSize: 12 }}>
             MIDI: {midiOutName}
@@ -1845,6 +3667,16 @@ function App() {
         <div className="content">
           {/* Tips panel removed per UI cleanup */}
 
+          {mode === "show" && cues.length > 0 && (
+            <CueStandbyBar
+              cues={cues}
+              standbyCue={standbyCue}
+              lastCueId={lastCueId}
+              running={runningCueIds.length > 0}
+              onGo={handleGo}
+            />
+          )}
+
           <GroupSection
             title="Background Music"
             color={groupColors["grp-bg"] || "#0000FF"}
@@ -1859,6 +3691,15 @@ function App() {
             }
             onResume={(id) => setPadPlaying("background", id, true, null, true)}
             onLevelChange={(id, v) => setPadLevel("background", id, v)}
+            onPadUpdate={(id, patch) => updatePad("background", id, patch)}
+            releasingKeys={releasingKeys}
+            playlistTracks={playlistTracks}
+            preloadStates={preloadStates}
+            onPlaylistStep={(id, dir) => stepPlaylist("background", id, dir)}
+            bus={mixer.groups.background}
+            busMeter={() => groupMeterTaps("background")}
+            onBusLevel={(v) => setBusLevel("background", v)}
+            onBusToggle={(flag) => toggleBusFlag("background", flag)}
             onEdit={(id) => openEditor("background", id)}
             onDelete={(id) => deletePad("background", id)}
             selectedPadKey={selectedPadKey}
@@ -1885,6 +3726,15 @@ function App() {
             }
             onResume={(id) => setPadPlaying("ambients", id, true, null, true)}
             onLevelChange={(id, v) => setPadLevel("ambients", id, v)}
+            onPadUpdate={(id, patch) => updatePad("ambients", id, patch)}
+            releasingKeys={releasingKeys}
+            playlistTracks={playlistTracks}
+            preloadStates={preloadStates}
+            onPlaylistStep={(id, dir) => stepPlaylist("ambients", id, dir)}
+            bus={mixer.groups.ambients}
+            busMeter={() => groupMeterTaps("ambients")}
+            onBusLevel={(v) => setBusLevel("ambients", v)}
+            onBusToggle={(flag) => toggleBusFlag("ambients", flag)}
             onEdit={(id) => openEditor("ambients", id)}
             onDelete={(id) => deletePad("ambients", id)}
             selectedPadKey={selectedPadKey}
@@ -1915,6 +3765,15 @@ function App() {
             padAudioRef={padAudioRef}
             show={show}
             onLevelChange={(id, v) => setPadLevel("sfx", id, v)}
+            onPadUpdate={(id, patch) => updatePad("sfx", id, patch)}
+            releasingKeys={releasingKeys}
+            playlistTracks={playlistTracks}
+            preloadStates={preloadStates}
+            onPlaylistStep={(id, dir) => stepPlaylist("sfx", id, dir)}
+            bus={mixer.groups.sfx}
+            busMeter={() => groupMeterTaps("sfx")}
+            onBusLevel={(v) => setBusLevel("sfx", v)}
+            onBusToggle={(flag) => toggleBusFlag("sfx", flag)}
             onEdit={(id) => openEditor("sfx", id)}
             onDelete={(id) => deletePad("sfx", id)}
             selectedPadKey={selectedPadKey}
@@ -1964,6 +3823,14 @@ function App() {
                     const [gk] = found;
                     setPadLevel(gk, id, v);
                   }}
+                  playlistTracks={playlistTracks}
+                  preloadStates={preloadStates}
+                  onPlaylistStep={(id, dir) => {
+                    const found = findPadByAny(currentScene, id);
+                    if (!found) return;
+                    const [gk] = found;
+                    stepPlaylist(gk, id, dir);
+                  }}
                   onEdit={(id) => {
                     if (id) {
                       const found = findPadByAny(currentScene, id);
@@ -1993,6 +3860,18 @@ function App() {
               );
             })}
 
+          {mode === "edit" && (
+            <SceneTransitionPanel
+              scene={currentScene}
+              onChange={(transition) =>
+                updateScene((scene) => {
+                  scene.transition = transition;
+                  return scene;
+                })
+              }
+            />
+          )}
+
           {notesOpen && (
             <NotesPanel
               mode={mode}
@@ -2031,6 +3910,13 @@ function App() {
         <SettingsModal
           settings={show.settings}
           scene={currentScene}
+          getOutputLimiters={outputLimiters}
+          defaultDeviceChannels={
+            audioCtxRef.current?.destination?.maxChannelCount || 0
+          }
+          engineRate={audioCtxRef.current?.sampleRate || null}
+          assets={sceneAssets}
+          preloadStates={preloadStates}
           onUpdatePadRoute={(groupKey, id, routeKey) => {
             updateScene((scene) => {
               const pad = findPad(scene, groupKey, id);
@@ -2051,6 +3937,19 @@ function App() {
         />
       )}
       {mapperOpen && <ApcMapperModal onClose={() => setMapperOpen(false)} />}
+      {cueListOpen && (
+        <CueListModal
+          cues={cues}
+          scene={currentScene}
+          scenes={show.scenes}
+          standbyCueId={standbyCue?.id || null}
+          onSetStandby={setStandbyCueId}
+          onChange={(nextCues) =>
+            setShow((prev) => ({ ...prev, cues: nextCues }))
+          }
+          onClose={() => setCueListOpen(false)}
+        />
+      )}
       {relinkRequired && (
         <RelinkModal
           missingCount={relinkMissingCount}
@@ -2076,6 +3975,18 @@ function App() {
 
   // Actions on pads
   function togglePadPlay(groupKey, id, usePause = false) {
+    // Decide on a release outside the updater, which may run twice
+    const live = currentSceneRef.current;
+    const livePad = live ? findPad(live, groupKey, id) : null;
+    if (
+      livePad?.playing &&
+      !usePause &&
+      releasePadLoop(live.id, groupKey, id)
+    ) {
+      setStatus(`${livePad.label || livePad.name} releasing`);
+      return;
+    }
+    if (!usePause && retriggerOnPress(live.id, groupKey, livePad)) return;
     updateScene((scene) => {
       const pad = findPad(scene, groupKey, id);
       if (!pad) return scene;
@@ -2151,6 +4062,29 @@ function App() {
       (currentSceneRef.current && currentSceneRef.current.id) ||
       currentScene.id;
 
+    // Release-mode beds keep playing into their outro; onStop triggers fire
+    // when it ends
+    if (!playing && !usePause && releasePadLoop(targetSceneId, groupKey, id)) {
+      return;
+    }
+
+    // Starting a pad that is still sounding follows its retrigger policy
+    // ("restart" and "overlap" are handled by playPad)
+    const live = padAudioRef.current.get(padKey(targetSceneId, groupKey, id));
+    if (playing && !useResume && live && !live.el.paused) {
+      const sc = (showRef.current?.scenes || []).find(
+        (x) => x.id === targetSceneId
+      );
+      const policy = sc ? findPad(sc, groupKey, id)?.retrigger : null;
+      if (policy === "ignore") return;
+      if (policy === "toggle") {
+        setPadPlaying(groupKey, id, false, targetSceneId);
+        return;
+      }
+    }
+
+    if (playing) chokePadGroup(targetSceneId, groupKey, id);
+
     const updater = (scene) => {
       const pad = findPad(scene, groupKey, id);
       if (!pad) return scene;
@@ -2215,6 +4149,65 @@ function App() {
     } catch {}
   }
 
+  // Starting a pad in a choke group fades out every other sounding pad in
+  // that group (in any scene). With a crossfade time the new pad also fades
+  // in over it unless it has its own fade-in.
+  function chokePadGroup(sceneId, groupKey, padId) {
+    const scenes = showRef.current?.scenes || [];
+    const findIn = (sid, gk, id) => {
+      const sc = scenes.find((x) => x.id === sid);
+      return sc ? findPad(sc, gk, id) : null;
+    };
+    const pad = findIn(sceneId, groupKey, padId);
+    const choke = (pad?.chokeGroup || "").trim();
+    if (!choke) return;
+    const ownKey = padKey(sceneId, groupKey, padId);
+    const victims = new Set();
+    padAudioRef.current.forEach((ref, key) => {
+      if (key === ownKey || ref.el.paused) return;
+      const [sid, gk, id] = key.split(":");
+      if ((findIn(sid, gk, id)?.chokeGroup || "").trim() === choke) {
+        victims.add(key);
+      }
+    });
+    if (victims.size === 0) return;
+    const ms = Math.max(0, Number(pad.chokeFadeMs) || 0);
+    stopVoices(
+      (sid, gk, id) => victims.has(padKey(sid, gk, id)),
+      ms,
+      "equalPower"
+    );
+    if (
+      ms > 0 &&
+      !(pad.fadeInMs > 0) &&
+      !pendingFadeInRef.current.has(ownKey)
+    ) {
+      pendingFadeInRef.current.set(ownKey, { ms, curve: "equalPower" });
+    }
+  }
+
+  // Pressing a pad that is already playing follows its retrigger policy;
+  // returns true when the press was handled here
+  function retriggerOnPress(sceneId, groupKey, pad) {
+    const policy = pad?.playing ? pad.retrigger : null;
+    if (policy === "ignore") return true;
+    if (policy === "restart" || policy === "overlap") {
+      setPadPlaying(groupKey, pad.id, true, sceneId);
+      setStatus(`${pad.label || pad.name} retriggered`);
+      return true;
+    }
+    return false;
+  }
+
+  // Merge edits made on the pad itself (e.g. waveform handles)
+  function updatePad(groupKey, id, patch) {
+    updateScene((scene) => {
+      const pad = findPad(scene, groupKey, id);
+      if (pad) Object.assign(pad, patch);
+      return scene;
+    });
+  }
+
   function openEditor(groupKey, id) {
     setEditor({ open: true, groupKey, padId: id });
   }
@@ -2361,8 +4354,13 @@ function GroupSection({
   onSetPlaying,
   onResume,
   onLevelChange,
+  onPadUpdate,
   onEdit,
   onDelete,
+  releasingKeys,
+  playlistTracks,
+  preloadStates,
+  onPlaylistStep,
   selectedPadKey,
   setSelectedPadKey,
   sceneId,
@@ -2372,6 +4370,10 @@ function GroupSection({
   onSeekEnd,
   padAudioRef,
   show,
+  bus,
+  busMeter,
+  onBusLevel,
+  onBusToggle,
 }) {
   return (
     <div className="groupBlock">
@@ -2398,6 +4400,16 @@ function GroupSection({
             </span>
           )}
         </div>
+        {bus && (
+          <BusStrip
+            level={bus.level}
+            mute={bus.mute}
+            solo={bus.solo}
+            meter={busMeter}
+            onLevel={onBusLevel}
+            onToggle={onBusToggle}
+          />
+        )}
       </div>
       <div className="grid">
         {pads.map((p) => (
@@ -2411,6 +4423,13 @@ function GroupSection({
             onSetPlaying={(playing) => onSetPlaying?.(p.id, playing)}
             onResume={() => onResume?.(p.id)}
             onLevelChange={(v) => onLevelChange(p.id, v)}
+            onUpdate={(patch) => onPadUpdate?.(p.id, patch)}
+            releasing={releasingKeys?.includes(
+              `${sceneId}:${groupKey}:${p.id}`
+            )}
+            playlistTrack={playlistTracks?.[`${sceneId}:${groupKey}:${p.id}`]}
+            preloadState={padPreloadState(p, preloadStates)}
+            onPlaylistStep={(dir) => onPlaylistStep?.(p.id, dir)}
             selected={selectedPadKey === `${groupKey}:${p.id}`}
             onSelect={() => setSelectedPadKey(`${groupKey}:${p.id}`)}
             onEdit={() => onEdit?.(p.id)}
@@ -2433,6 +4452,140 @@ function GroupSection({
   );
 }
 
+// Bus fader with a dB readout and, for lane buses, mute and solo buttons
+function BusStrip({ label, level, mute, solo, meter, onLevel, onToggle }) {
+  const db = linearToDb(level);
+  return (
+    <div className="busStrip">
+      {label && <span className="busLabel">{label}</span>}
+      {meter && <LevelMeter source={meter} />}
+      <input
+        type="range"
+        min="0"
+        max="1"
+        step="0.01"
+        value={level}
+        onChange={(e) => onLevel?.(Number(e.target.value))}
+      />
+      <span className="busDb">
+        {db <= -60 ? "-∞" : `${db > 0 ? "+" : ""}${db.toFixed(1)}`} dB
+      </span>
+      {onToggle && (
+        <>
+          <button
+            className={"btn sm busBtn" + (mute ? " muteOn" : "")}
+            title="Mute"
+            onClick={() => onToggle("mute")}
+          >
+            M
+          </button>
+          <button
+            className={"btn sm busBtn" + (solo ? " soloOn" : "")}
+            title="Solo"
+            onClick={() => onToggle("solo")}
+          >
+            S
+          </button>
+        </>
+      )}
+    </div>
+  );
+}
+
+// Peak/RMS meter with a peak hold and a latching clip light. `source` returns
+// the analysers to read; the bars are set from the shared meter loop rather
+// than through React state so they don't re-render the board every frame.
+function LevelMeter({ source, label }) {
+  const sourceRef = useRef(source);
+  sourceRef.current = source;
+  const rmsRef = useRef(null);
+  const peakRef = useRef(null);
+  const holdRef = useRef(null);
+  const clipRef = useRef(false);
+  const [clipped, setClipped] = useState(false);
+
+  useEffect(() => {
+    let shown = 0;
+    let hold = 0;
+    let holdAt = 0;
+    let lastAt = 0;
+    let drawn = "";
+    return subscribeMeterFrame((now) => {
+      const { peak, rms } = readMeters(sourceRef.current?.());
+      // Peak falls back at 24 dB/s; the hold line stays put for 1.5 s
+      const dt = lastAt ? Math.min(0.25, (now - lastAt) / 1000) : 0;
+      lastAt = now;
+      shown = Math.max(peak, shown * dbToLinear(-24 * dt));
+      if (peak >= hold || now - holdAt > 1500) {
+        hold = peak;
+        holdAt = now;
+      }
+      if (peak >= 1 && !clipRef.current) {
+        clipRef.current = true;
+        setClipped(true);
+      }
+      const pct = (v) => (meterFraction(v) * 100).toFixed(1);
+      const next = [pct(rms), pct(shown), pct(hold)];
+      if (next.join() === drawn) return;
+      drawn = next.join();
+      const reveal = (p) => `inset(0 ${100 - p}% 0 0)`;
+      if (rmsRef.current) rmsRef.current.style.clipPath = reveal(next[0]);
+      if (peakRef.current) peakRef.current.style.clipPath = reveal(next[1]);
+      if (holdRef.current) {
+        holdRef.current.style.left = `${next[2]}%`;
+        holdRef.current.style.opacity = meterFraction(hold) > 0 ? "1" : "0";
+      }
+    });
+  }, []);
+
+  return (
+    <div className="levelMeter" onClick={(e) => e.stopPropagation()}>
+      {label && <span className="meterLabel">{label}</span>}
+      <div className="meterTrack">
+        <div className="meterPeak" ref={peakRef} />
+        <div className="meterRms" ref={rmsRef} />
+        <div className="meterHold" ref={holdRef} />
+      </div>
+      <button
+        className={"meterClip" + (clipped ? " on" : "")}
+        title={clipped ? "Clipped - click to reset" : "Clip"}
+        onClick={() => {
+          clipRef.current = false;
+          setClipped(false);
+        }}
+      />
+    </div>
+  );
+}
+
+// Gain reduction of the limiters `source` returns (the deepest one), updated
+// from the meter loop a few times a second
+function GainReductionReadout({ source }) {
+  const sourceRef = useRef(source);
+  sourceRef.current = source;
+  const textRef = useRef(null);
+
+  useEffect(() => {
+    let shownAt = 0;
+    return subscribeMeterFrame((now) => {
+      if (now - shownAt < 100 || !textRef.current) return;
+      shownAt = now;
+      const reduction = Math.min(
+        0,
+        ...(sourceRef.current?.() || []).map((n) => Number(n?.reduction) || 0)
+      );
+      textRef.current.textContent = `GR ${reduction.toFixed(1)} dB`;
+      textRef.current.classList.toggle("active", reduction <= -1);
+    });
+  }, []);
+
+  return (
+    <span className="grReadout" ref={textRef} title="Limiter gain reduction">
+      GR 0.0 dB
+    </span>
+  );
+}
+
 function PadCard({
   pad,
   groupKey,
@@ -2442,6 +4595,11 @@ function PadCard({
   onSetPlaying,
   onResume,
   onLevelChange,
+  onUpdate,
+  releasing,
+  playlistTrack,
+  preloadState,
+  onPlaylistStep,
   selected,
   onSelect,
   onEdit,
@@ -2466,6 +4624,7 @@ function PadCard({
 
   const waveRef = useRef(null);
   const wsRef = useRef(null);
+  const regionsRef = useRef(null);
 
   useEffect(() => {
     if (!waveRef.current || !(pad.assetUrl || pad.assetPath)) return;
@@ -2487,6 +4646,7 @@ function PadCard({
       mediaControls: false,
       autoplay: false,
     });
+    regionsRef.current = wsRef.current.registerPlugin(RegionsPlugin.create());
     // Reflect seeks on the main audio element for this pad
     try {
       let wasPlayingBeforeSeek = false;
@@ -2523,21 +4683,122 @@ function PadCard({
         }
       });
     } catch {}
-    try {
-      const p = wsRef.current.load(pad.assetUrl || pad.assetPath);
-      if (p && typeof p.catch === "function") {
-        p.catch(() => {});
-      }
-    } catch {}
+    // Draw from the shared peaks cache; WaveSurfer only decodes the file
+    // itself when no peaks could be had
+    const ws = wsRef.current;
+    const src = pad.assetUrl || pad.assetPath;
+    loadWaveformPeaks(src, pad.assetPath).then((cached) => {
+      if (wsRef.current !== ws) return;
+      try {
+        const p = cached
+          ? ws.load(src, [cached.peaks], cached.duration)
+          : ws.load(src);
+        if (p && typeof p.catch === "function") {
+          p.catch(() => {});
+        }
+      } catch {}
+    });
     return () => {
       try {
         wsRef.current?.destroy();
       } catch {}
       wsRef.current = null;
+      regionsRef.current = null;
     };
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [pad.assetUrl, pad.assetPath, pad.playbackMode]);
 
+  // Show markers, trim points and the loop region on the waveform. In Edit
+  // mode the trim and loop edges are drag handles.
+  useEffect(() => {
+    const ws = wsRef.current;
+    const regions = regionsRef.current;
+    if (!ws || !regions) return;
+    const editable = mode === "edit";
+    const round = (sec) => Math.round(sec * 100) / 100;
+    // Only the edge handles take the pointer so the body still seeks
+    const handlesOnly = (r) => {
+      if (!r?.element) return;
+      r.element.style.pointerEvents = "none";
+      r.element
+        .querySelectorAll('[part*="region-handle"]')
+        .forEach((h) => (h.style.pointerEvents = "all"));
+    };
+    const draw = () => {
+      try {
+        regions.clearRegions();
+        const duration = ws.getDuration();
+        const range = padPlayRange(pad);
+        if (editable || range) {
+          handlesOnly(
+            regions.addRegion({
+              id: "trim",
+              start: range?.startSec || 0,
+              end: range?.endSec ?? duration,
+              color: "rgba(255, 255, 255, 0.06)",
+              drag: false,
+              resize: editable,
+            })
+          );
+        }
+        if (isLoopingMode(pad.playbackMode) && range?.loopEndSec != null) {
+          handlesOnly(
+            regions.addRegion({
+              id: "loop",
+              start: range.loopStartSec,
+              end: range.loopEndSec,
+              color: "rgba(3, 218, 198, 0.18)",
+              drag: false,
+              resize: editable,
+            })
+          );
+        }
+        (pad.markers || []).forEach((m) => {
+          if (!Number.isFinite(m.timeSec)) return;
+          regions.addRegion({
+            id: `marker-${m.id}`,
+            start: m.timeSec,
+            color: "#ffd54f",
+            content: m.label || undefined,
+            drag: false,
+            resize: false,
+          });
+        });
+      } catch {}
+    };
+    const offUpdated = regions.on("region-updated", (r) => {
+      if (r.id === "trim") {
+        onUpdate?.({
+          trimStartSec: round(r.start),
+          trimEndSec: r.end >= ws.getDuration() - 0.01 ? null : round(r.end),
+        });
+      } else if (r.id === "loop") {
+        onUpdate?.({ loopStartSec: round(r.start), loopEndSec: round(r.end) });
+      }
+    });
+    // Regions are clamped to the duration, so wait for the file to decode
+    if (ws.getDuration() > 0) {
+      draw();
+      return offUpdated;
+    }
+    const offReady = ws.once("ready", draw);
+    return () => {
+      offReady();
+      offUpdated();
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [
+    pad.markers,
+    pad.trimStartSec,
+    pad.trimEndSec,
+    pad.loopStartSec,
+    pad.loopEndSec,
+    pad.assetUrl,
+    pad.assetPath,
+    pad.playbackMode,
+    mode,
+  ]);
+
   // Drive WaveSurfer playback to visualize progress (audio remains muted)
 
   // Keep WaveSurfer muted so it doesn't emit audio (we use <audio> for sound)
@@ -2593,13 +4854,14 @@ function PadCard({
     }
   };
 
-  const hasTriggers = (() => {
-    if (!pad?.triggers) return false;
-    if (Array.isArray(pad.triggers)) return pad.triggers.length > 0;
-    const t = pad.triggers;
-    const valid = (x) => x && x.action && x.action !== "none";
-    return valid(t.onStart) || valid(t.onStop);
-  })();
+  const hasTriggers =
+    (() => {
+      if (!pad?.triggers) return false;
+      if (Array.isArray(pad.triggers)) return pad.triggers.length > 0;
+      const t = pad.triggers;
+      const valid = (x) => x && x.action && x.action !== "none";
+      return valid(t.onStart) || valid(t.onStop);
+    })() || (pad.markers || []).length > 0;
 
   return (
     <div
@@ -2614,6 +4876,18 @@ function PadCard({
       <div className="padHeader" style={headerStyle}>
         {pad.label || pad.name}
       </div>
+      {preloadState && (
+        <div
+          className={`preloadDot ${preloadState}`}
+          title={
+            preloadState === "ready"
+              ? "In memory, player primed"
+              : preloadState === "loading"
+              ? "Loading into memory…"
+              : "Not in memory (over the budget, unreadable or not primed in time)"
+          }
+        />
+      )}
       {mode !== "edit" && hasTriggers && (
         <div className="padBadge" title="Has triggers">
           ⚡
@@ -2648,26 +4922,92 @@ function PadCard({
           {pad.assetUrl || pad.assetPath ? (
             <>
               <div className="waveContainer" ref={waveRef} />
-              {pad.playing && <div className="playingTicker" />}
-              <div className="waveControls">
-                {!pad.playing && (pad.assetUrl || pad.assetPath) ? (
-                  <div style={{ display: "flex", gap: "8px" }}>
-                    <button
-                      className="btn sm"
-                      onClick={(e) => {
-                        e.stopPropagation();
-                        // Play from beginning (don't use pause)
-                        onToggle?.();
-                      }}
-                    >
-                      Play
-                    </button>
-                    <button
-                      className="btn sm"
-                      onClick={(e) => {
-                        e.stopPropagation();
-                        console.log("Resume button clicked for pad:", pad.id);
-                        // Resume from current position
+              {pad.playing && (
+                <div
+                  className={"playingTicker" + (releasing ? " releasing" : "")}
+                  title={releasing ? "Playing outro" : undefined}
+                />
+              )}
+              <LevelMeter
+                source={() => {
+                  const ref = padAudioRef.current.get(
+                    `${sceneId}:${groupKey}:${pad.id}`
+                  );
+                  return ref
+                    ? [ref, ...(ref.layers || [])].map((v) => v.meter)
+                    : [];
+                }}
+              />
+              {pad.playbackMode === "playlist" && (
+                <div className="playlistInfo">
+                  <button
+                    className="btn sm"
+                    title="Previous track"
+                    disabled={!pad.playing}
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      onPlaylistStep?.(-1);
+                    }}
+                  >
+                    ⏮
+                  </button>
+                  <div className="playlistTracks">
+                    {(() => {
+                      const files = padFiles(pad);
+                      const name = (i) =>
+                        (files[i]?.assetPath || "").split(/[\\/]/).pop() ||
+                        `Track ${i + 1}`;
+                      if (!pad.playing || !playlistTrack) {
+                        return <div>{files.length} track(s)</div>;
+                      }
+                      return (
+                        <>
+                          <div title="Now playing">
+                            ▶ {name(playlistTrack.current)}
+                          </div>
+                          <div className="playlistNext" title="Up next">
+                            {playlistTrack.next != null
+                              ? `Next: ${name(playlistTrack.next)}`
+                              : pad.playlistRepeat
+                              ? "Next: reshuffle"
+                              : "Last track"}
+                          </div>
+                        </>
+                      );
+                    })()}
+                  </div>
+                  <button
+                    className="btn sm"
+                    title="Next track"
+                    disabled={!pad.playing}
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      onPlaylistStep?.(1);
+                    }}
+                  >
+                    ⏭
+                  </button>
+                </div>
+              )}
+              <div className="waveControls">
+                {!pad.playing && (pad.assetUrl || pad.assetPath) ? (
+                  <div style={{ display: "flex", gap: "8px" }}>
+                    <button
+                      className="btn sm"
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        // Play from beginning (don't use pause)
+                        onToggle?.();
+                      }}
+                    >
+                      Play
+                    </button>
+                    <button
+                      className="btn sm"
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        console.log("Resume button clicked for pad:", pad.id);
+                        // Resume from current position
                         onResume?.();
                       }}
                     >
@@ -2783,6 +5123,312 @@ function NotesPanel({ mode, notes, onChange }) {
   );
 }
 
+function CueStandbyBar({ cues, standbyCue, lastCueId, running, onGo }) {
+  const idx = standbyCue ? cues.findIndex((c) => c.id === standbyCue.id) : -1;
+  const nextCue = idx >= 0 ? cues[idx + 1] : null;
+  const lastCue = cues.find((c) => c.id === lastCueId);
+  return (
+    <div className="cueBar">
+      <button className="btn goBtn" onClick={onGo} disabled={!standbyCue}>
+        GO
+      </button>
+      <div className="cueStandby">
+        <div className="cueCaption">Standby</div>
+        <div className="cueName">
+          {standbyCue ? cueLabel(standbyCue) : "End of cue list"}
+        </div>
+      </div>
+      <div className="cueSide">
+        <div>
+          <span className="cueCaption">Next</span>{" "}
+          {nextCue ? cueLabel(nextCue) : "—"}
+        </div>
+        <div>
+          <span className="cueCaption">Last</span>{" "}
+          {lastCue ? cueLabel(lastCue) : "—"}
+          {running && <span className="cueRunning">running</span>}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function CueListModal({
+  cues,
+  scene,
+  scenes,
+  standbyCueId,
+  onSetStandby,
+  onChange,
+  onClose,
+}) {
+  const updateCue = (id, patch) =>
+    onChange(cues.map((c) => (c.id === id ? { ...c, ...patch } : c)));
+  const moveCue = (id, delta) => {
+    const arr = [...cues];
+    const i = arr.findIndex((c) => c.id === id);
+    const j = i + delta;
+    if (i < 0 || j < 0 || j >= arr.length) return;
+    [arr[i], arr[j]] = [arr[j], arr[i]];
+    onChange(arr);
+  };
+  const addCue = () =>
+    onChange([
+      ...cues,
+      {
+        id: `cue-${Math.random().toString(36).slice(2, 8)}`,
+        number: nextCueNumber(cues),
+        name: "",
+        preWaitMs: 0,
+        postWaitMs: 0,
+        actions: [],
+      },
+    ]);
+  const newAction = () => ({
+    id: `act-${Math.random().toString(36).slice(2, 8)}`,
+    action: "play",
+    sceneId: scene.id,
+    padId: "",
+    timeMs: 200,
+  });
+
+  return (
+    <div className="modalBackdrop" onClick={onClose}>
+      <div className="modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modalHeader">
+          <div style={{ fontWeight: 600 }}>Cue List</div>
+          <button className="btn sm" onClick={onClose}>
+            Close
+          </button>
+        </div>
+        <div
+          className="modalBody"
+          style={{ maxHeight: "70vh", overflow: "auto" }}
+        >
+          {cues.length === 0 && (
+            <div style={{ color: "#888", marginBottom: 8 }}>
+              No cues. Add one, then press GO (Enter) in Show mode to run the
+              list from the top.
+            </div>
+          )}
+          {cues.map((cue) => (
+            <div
+              key={cue.id}
+              className={"cueRow" + (cue.id === standbyCueId ? " standby" : "")}
+            >
+              <div className="rowFlex">
+                <div className="field" style={{ flex: "0 0 70px" }}>
+                  <label>Cue</label>
+                  <input
+                    value={cue.number}
+                    onChange={(e) =>
+                      updateCue(cue.id, { number: e.target.value })
+                    }
+                  />
+                </div>
+                <div className="field" style={{ flex: 3 }}>
+                  <label>Name</label>
+                  <input
+                    value={cue.name || ""}
+                    onChange={(e) =>
+                      updateCue(cue.id, { name: e.target.value })
+                    }
+                  />
+                </div>
+                <div className="field">
+                  <label>Pre-wait (ms)</label>
+                  <input
+                    type="number"
+                    value={cue.preWaitMs || 0}
+                    onChange={(e) =>
+                      updateCue(cue.id, { preWaitMs: Number(e.target.value) })
+                    }
+                  />
+                </div>
+                <div className="field">
+                  <label>Post-wait (ms)</label>
+                  <input
+                    type="number"
+                    value={cue.postWaitMs || 0}
+                    onChange={(e) =>
+                      updateCue(cue.id, { postWaitMs: Number(e.target.value) })
+                    }
+                  />
+                </div>
+                <div className="field" style={{ flex: 2 }}>
+                  <label>Continue</label>
+                  <select
+                    value={cue.continueMode || "none"}
+                    onChange={(e) =>
+                      updateCue(cue.id, { continueMode: e.target.value })
+                    }
+                  >
+                    <option value="none">Do not continue</option>
+                    <option value="autoContinue">
+                      Auto-continue (after post-wait)
+                    </option>
+                    <option value="autoFollow">
+                      Auto-follow (when its sounds end)
+                    </option>
+                  </select>
+                </div>
+              </div>
+              {(cue.actions || []).map((a) => (
+                <div key={a.id} className="rowFlex">
+                  <ActionFields
+                    action={a}
+                    actions={CUE_ACTIONS}
+                    scene={scene}
+                    scenes={scenes}
+                    onChange={(patch) =>
+                      updateCue(cue.id, {
+                        actions: cue.actions.map((x) =>
+                          x.id === a.id ? { ...x, ...patch } : x
+                        ),
+                      })
+                    }
+                  />
+                  <div className="field" style={{ alignSelf: "flex-end" }}>
+                    <button
+                      className="btn sm red"
+                      onClick={() =>
+                        updateCue(cue.id, {
+                          actions: cue.actions.filter((x) => x.id !== a.id),
+                        })
+                      }
+                    >
+                      Remove
+                    </button>
+                  </div>
+                </div>
+              ))}
+              <div className="sceneControls">
+                <button
+                  className="btn sm"
+                  onClick={() =>
+                    updateCue(cue.id, {
+                      actions: [...(cue.actions || []), newAction()],
+                    })
+                  }
+                >
+                  + Action
+                </button>
+                <button className="btn sm" onClick={() => moveCue(cue.id, -1)}>
+                  ↑
+                </button>
+                <button className="btn sm" onClick={() => moveCue(cue.id, 1)}>
+                  ↓
+                </button>
+                <button
+                  className="btn sm"
+                  onClick={() => onSetStandby(cue.id)}
+                  disabled={cue.id === standbyCueId}
+                >
+                  Standby
+                </button>
+                <button
+                  className="btn sm red"
+                  onClick={() => onChange(cues.filter((c) => c.id !== cue.id))}
+                >
+                  Delete
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+        <div className="modalFooter">
+          <button className="btn" onClick={addCue}>
+            + Cue
+          </button>
+          <button className="btn blue" onClick={onClose}>
+            Done
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function SceneTransitionPanel({ scene, onChange }) {
+  const tr = normalizeSceneTransition(scene?.transition);
+  const update = (patch) => onChange?.({ ...tr, ...patch });
+  const pads = [
+    ...(scene?.background || []),
+    ...(scene?.ambients || []),
+    ...(scene?.sfx || []),
+  ];
+  return (
+    <div className="notesPanel">
+      <div style={{ color: "#bbb", marginBottom: 6 }}>Scene Transition</div>
+      <div className="rowFlex">
+        <div className="field">
+          <label>On Enter</label>
+          <select
+            value={tr.mode}
+            onChange={(e) => update({ mode: e.target.value })}
+          >
+            <option value="none">Keep previous scene playing</option>
+            <option value="cut">Hard cut</option>
+            <option value="crossfade">Crossfade</option>
+            <option value="fadeOutThenStart">Fade out, then start</option>
+          </select>
+        </div>
+        {(tr.mode === "crossfade" || tr.mode === "fadeOutThenStart") && (
+          <>
+            <div className="field">
+              <label>Time (ms)</label>
+              <input
+                type="number"
+                value={tr.timeMs}
+                onChange={(e) => update({ timeMs: Number(e.target.value) })}
+              />
+            </div>
+            <div className="field">
+              <label>Curve</label>
+              <select
+                value={tr.curve}
+                onChange={(e) => update({ curve: e.target.value })}
+              >
+                {FADE_CURVES.map((c) => (
+                  <option key={c.value} value={c.value}>
+                    {c.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+          </>
+        )}
+      </div>
+      {tr.mode !== "none" && (
+        <div className="field">
+          <label>Start On Enter</label>
+          <div style={{ display: "flex", flexWrap: "wrap", gap: 12 }}>
+            {pads.length === 0 && (
+              <span style={{ color: "#888" }}>No pads in this scene</span>
+            )}
+            {pads.map((p) => (
+              <label key={p.id} style={{ color: "#ddd" }}>
+                <input
+                  type="checkbox"
+                  checked={tr.startPadIds.includes(p.id)}
+                  onChange={(e) =>
+                    update({
+                      startPadIds: e.target.checked
+                        ? [...tr.startPadIds, p.id]
+                        : tr.startPadIds.filter((id) => id !== p.id),
+                    })
+                  }
+                />{" "}
+                {p.label || p.name}
+              </label>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
 function Legend({ onClose }) {
   return (
     <div className="legend">
@@ -3001,6 +5647,8 @@ function createInitialShow() {
       { id: "grp-sfx", name: "Sound Effects", color: "#00FF00" },
     ],
     routing: { buses: ["Master", "Stage", "Booth"], assignments: {} },
+    mixer: normalizeMixer(null),
+    cues: [],
     settings: {
       applyRememberOnSceneLoad: true,
       panicConfirm: true,
@@ -3010,6 +5658,104 @@ function createInitialShow() {
   };
 }
 
+// Mixer state: a bus per lane plus the master, levels linear 0..1 like pads
+function normalizeMixer(mixer) {
+  const level = (v) => (typeof v === "number" ? clamp01(v) : 1);
+  const groups = {};
+  ["background", "ambients", "sfx"].forEach((gk) => {
+    const g = mixer?.groups?.[gk] || {};
+    groups[gk] = { level: level(g.level), mute: !!g.mute, solo: !!g.solo };
+  });
+  return { groups, master: { level: level(mixer?.master?.level) } };
+}
+
+// Gain of a lane bus once mute and solo are taken into account
+function groupBusGain(mixer, groupKey) {
+  const { groups } = normalizeMixer(mixer);
+  const g = groups[groupKey];
+  if (!g) return 1;
+  const anySolo = Object.values(groups).some((x) => x.solo);
+  if (g.mute || (anySolo && !g.solo)) return 0;
+  return g.level;
+}
+
+// Level meters read analysers tapped off the graph, one per channel so a
+// hard-panned or anti-phase signal reads at its true level. One
+// animation-frame loop serves every mounted meter and runs only while some
+// meter is subscribed.
+const meterListeners = new Set();
+let meterFrame = 0;
+let meterBuffer = null;
+
+function createMeterTap(ctx, node) {
+  try {
+    const input = ctx.createChannelSplitter(2);
+    const analysers = [0, 1].map((ch) => {
+      const analyser = ctx.createAnalyser();
+      analyser.fftSize = 1024;
+      input.connect(analyser, ch);
+      return analyser;
+    });
+    node.connect(input);
+    return { input, analysers };
+  } catch {
+    return null;
+  }
+}
+
+function subscribeMeterFrame(fn) {
+  meterListeners.add(fn);
+  if (!meterFrame) meterFrame = requestAnimationFrame(meterTick);
+  return () => {
+    meterListeners.delete(fn);
+    if (!meterListeners.size && meterFrame) {
+      cancelAnimationFrame(meterFrame);
+      meterFrame = 0;
+    }
+  };
+}
+
+function meterTick(now) {
+  meterFrame = requestAnimationFrame(meterTick);
+  meterListeners.forEach((fn) => {
+    try {
+      fn(now);
+    } catch {}
+  });
+}
+
+// Linear peak and RMS of the latest block, summed over several analysers
+// (the voices of a pad, or a lane's buses on different routes)
+// Peak and RMS over meter taps: the loudest channel of each tap, with the
+// taps' power summed (layers of a pad, routes of the master)
+function readMeters(taps) {
+  let peak = 0;
+  let power = 0;
+  (taps || []).forEach((tap) => {
+    let tapPower = 0;
+    (tap?.analysers || []).forEach((a) => {
+      if (!meterBuffer || meterBuffer.length !== a.fftSize) {
+        meterBuffer = new Float32Array(a.fftSize);
+      }
+      a.getFloatTimeDomainData(meterBuffer);
+      let sum = 0;
+      for (let i = 0; i < meterBuffer.length; i++) {
+        const v = Math.abs(meterBuffer[i]);
+        if (v > peak) peak = v;
+        sum += v * v;
+      }
+      tapPower = Math.max(tapPower, sum / meterBuffer.length);
+    });
+    power += tapPower;
+  });
+  return { peak, rms: Math.sqrt(power) };
+}
+
+// Position of a linear level on the meter scale (-60 dBFS .. 0 dBFS)
+function meterFraction(v) {
+  return Math.max(0, Math.min(1, (linearToDb(v) + 60) / 60));
+}
+
 function allPads(scene) {
   return [...scene.background, ...scene.ambients, ...scene.sfx];
 }
@@ -3027,61 +5773,330 @@ function groupArray(scene, groupKey) {
     : scene.sfx;
 }
 
-function buildRememberFromScene(scene) {
+function buildRememberFromScene(scene, mixer) {
   const toDb = (v) => linearToDb(v);
+  const m = normalizeMixer(mixer);
   const mix = {
     background: {},
     ambients: {},
     sfx: {},
-    buses: { Master: { levelDb: 0 } },
+    buses: { Master: { levelDb: toDb(m.master.level) } },
   };
-  scene.background.forEach(
-    (p) => (mix.background[p.id] = { levelDb: toDb(p.level), mute: false })
-  );
-  scene.ambients.forEach(
-    (p) => (mix.ambients[p.id] = { levelDb: toDb(p.level), mute: false })
-  );
-  scene.sfx.forEach(
-    (p) => (mix.sfx[p.id] = { levelDb: toDb(p.level), mute: false })
-  );
+  Object.entries(m.groups).forEach(([gk, g]) => {
+    mix.buses[gk] = { levelDb: toDb(g.level), mute: g.mute };
+  });
+  // Pan, EQ and sends are stored as set on the pad
+  const padMix = (p) => {
+    const tone = padTone(p);
+    return {
+      levelDb: toDb(p.level),
+      mute: false,
+      pan: tone.pan,
+      eq: {
+        hpHz: tone.hpHz,
+        lowDb: tone.lowDb,
+        midDb: tone.midDb,
+        midHz: tone.midHz,
+        highDb: tone.highDb,
+      },
+      sends: { reverb: tone.reverb, delay: tone.delay },
+    };
+  };
+  scene.background.forEach((p) => (mix.background[p.id] = padMix(p)));
+  scene.ambients.forEach((p) => (mix.ambients[p.id] = padMix(p)));
+  scene.sfx.forEach((p) => (mix.sfx[p.id] = padMix(p)));
   return mix;
 }
 
-function applyRememberToScene(scene, mix) {
+// Recalls pad levels, pan, EQ and sends into `scene` and, when a (normalized)
+// `mixer` is given, the bus levels and mutes into it as well; both are
+// mutated
+function applyRememberToScene(scene, mix, mixer) {
   const fromDb = (db) => dbToLinear(db);
-  scene.background.forEach((p) => {
-    const r = mix.background?.[p.id];
-    if (r) p.level = clamp01(fromDb(r.levelDb));
-  });
-  scene.ambients.forEach((p) => {
-    const r = mix.ambients?.[p.id];
-    if (r) p.level = clamp01(fromDb(r.levelDb));
-  });
-  scene.sfx.forEach((p) => {
-    const r = mix.sfx?.[p.id];
-    if (r) p.level = clamp01(fromDb(r.levelDb));
-  });
+  if (mixer && mix.buses) {
+    Object.entries(mix.buses).forEach(([name, b]) => {
+      if (!b || typeof b.levelDb !== "number") return;
+      if (name === "Master") mixer.master.level = clamp01(fromDb(b.levelDb));
+      const g = mixer.groups[name];
+      if (!g) return;
+      g.level = clamp01(fromDb(b.levelDb));
+      if (typeof b.mute === "boolean") g.mute = b.mute;
+    });
+  }
+  // Mixes saved before pan/EQ/sends existed leave those untouched
+  const recall = (p, r) => {
+    if (!r) return;
+    p.level = clamp01(fromDb(r.levelDb));
+    if (typeof r.pan === "number") p.pan = r.pan;
+    if (r.eq) p.eq = { ...r.eq };
+    if (r.sends) p.sends = { ...r.sends };
+  };
+  scene.background.forEach((p) => recall(p, mix.background?.[p.id]));
+  scene.ambients.forEach((p) => recall(p, mix.ambients?.[p.id]));
+  scene.sfx.forEach((p) => recall(p, mix.sfx?.[p.id]));
   return scene;
 }
 
-function clamp01(v) {
-  return Math.max(0, Math.min(1, v));
+// Pan, EQ and effect sends of a pad with the defaults filled in: centred,
+// flat, high-pass off (0 Hz) and no sends
+function padTone(pad) {
+  const num = (v, d) =>
+    v != null && Number.isFinite(Number(v)) ? Number(v) : d;
+  const eq = pad?.eq || {};
+  return {
+    pan: Math.max(-1, Math.min(1, num(pad?.pan, 0))),
+    hpHz: Math.max(0, num(eq.hpHz, 0)),
+    lowDb: num(eq.lowDb, 0),
+    midDb: num(eq.midDb, 0),
+    midHz: Math.max(20, num(eq.midHz, 1000)),
+    highDb: num(eq.highDb, 0),
+    reverb: clamp01(num(pad?.sends?.reverb, 0)),
+    delay: clamp01(num(pad?.sends?.delay, 0)),
+  };
 }
-function dbToLinear(db) {
-  return Math.pow(10, db / 20);
+
+const clampRate = (rate) => Math.max(0.25, Math.min(4, rate));
+
+// Speed and pitch of a voice. The speed is the element's playback rate, and
+// Keep Pitch asks the browser to hold the pitch while it changes. The
+// semitone offset (plus the voice's random variation, `extraSemitones`) goes
+// to the voice's pitch shifter and leaves the tempo alone. A voice without a
+// shifter plays the offset as varispeed instead, which the browser cannot
+// combine with Keep Pitch.
+function applyPadRate(voice, pad, extraSemitones = 0) {
+  const el = voice?.el;
+  if (!el) return;
+  const speed = Number(pad?.speed) > 0 ? Number(pad.speed) : 1;
+  const semitones = (Number(pad?.pitchSemitones) || 0) + extraSemitones;
+  const shift = Math.pow(2, semitones / 12);
+  const ratio = voice.pitch?.parameters.get("ratio");
+  const rate = clampRate(ratio ? speed : speed * shift);
+  const keepPitch = !!pad?.preservePitch && (!!ratio || !semitones);
+  try {
+    el.preservesPitch = keepPitch;
+    el.mozPreservesPitch = keepPitch;
+    el.webkitPreservesPitch = keepPitch;
+    el.defaultPlaybackRate = rate;
+    if (el.playbackRate !== rate) el.playbackRate = rate;
+  } catch {}
+  if (ratio) ratio.value = clampRate(shift);
 }
-function linearToDb(v) {
-  return v <= 0 ? -60 : 20 * Math.log10(v);
+
+// Pitch shifter run as an AudioWorklet: two read taps sweep through a short
+// delay line at the pitch ratio and crossfade so each wraps while silent.
+// At a ratio of 1 it passes the sound straight through.
+const PITCH_SHIFTER_SOURCE = `
+class PitchShifter extends AudioWorkletProcessor {
+  static get parameterDescriptors() {
+    return [
+      { name: "ratio", defaultValue: 1, minValue: 0.25, maxValue: 4,
+        automationRate: "k-rate" },
+    ];
+  }
+  constructor() {
+    super();
+    this.win = Math.round(sampleRate * 0.05);
+    let size = 1;
+    while (size < this.win * 2 + 4) size *= 2;
+    this.mask = size - 1;
+    this.lines = [new Float32Array(size), new Float32Array(size)];
+    this.pos = 0;
+    this.phase = 0;
+    this.alive = true;
+    this.port.onmessage = (e) => {
+      if (e.data === "stop") this.alive = false;
+    };
+  }
+  read(line, pos, phase) {
+    const at = pos - 1 - phase * this.win;
+    const i = Math.floor(at);
+    const frac = at - i;
+    const a = line[i & this.mask];
+    return a + (line[(i + 1) & this.mask] - a) * frac;
+  }
+  process(inputs, outputs, parameters) {
+    const input = inputs[0];
+    const output = outputs[0];
+    const ratio = parameters.ratio[0];
+    const step = (1 - ratio) / this.win;
+    let pos = this.pos;
+    let phase = this.phase;
+    for (let c = 0; c < output.length; c++) {
+      const inp = input[c] || input[0];
+      const out = output[c];
+      const line = this.lines[c] || this.lines[0];
+      pos = this.pos;
+      phase = this.phase;
+      for (let i = 0; i < out.length; i++) {
+        line[pos] = inp ? inp[i] : 0;
+        if (ratio === 1) {
+          out[i] = line[pos];
+        } else {
+          const other = (phase + 0.5) % 1;
+          const fade = Math.sin(Math.PI * phase) ** 2;
+          out[i] =
+            this.read(line, pos, phase) * fade +
+            this.read(line, pos, other) * (1 - fade);
+          phase += step;
+          phase -= Math.floor(phase);
+        }
+        pos = (pos + 1) & this.mask;
+      }
+    }
+    this.pos = pos;
+    this.phase = phase;
+    return this.alive;
+  }
 }
-function lighten(hex, amt) {
-  const c = hex.replace("#", "");
-  let r = parseInt(c.substring(0, 2), 16),
-    g = parseInt(c.substring(2, 4), 16),
-    b = parseInt(c.substring(4, 6), 16);
-  r = Math.min(255, Math.floor(r + 255 * amt));
-  g = Math.min(255, Math.floor(g + 255 * amt));
-  b = Math.min(255, Math.floor(b + 255 * amt));
-  return "#" + [r, g, b].map((v) => v.toString(16).padStart(2, "0")).join("");
+registerProcessor("pitch-shifter", PitchShifter);
+`;
+
+// Contexts whose pitch shifter module has loaded
+const pitchShifterContexts = new WeakSet();
+
+function loadPitchShifter(ctx) {
+  if (!ctx.audioWorklet || typeof Blob === "undefined") {
+    return Promise.resolve();
+  }
+  const url = URL.createObjectURL(
+    new Blob([PITCH_SHIFTER_SOURCE], { type: "application/javascript" })
+  );
+  return ctx.audioWorklet
+    .addModule(url)
+    .then(() => pitchShifterContexts.add(ctx))
+    .catch(() => {})
+    .finally(() => URL.revokeObjectURL(url));
+}
+
+// A stereo shifter node, or null until the module has loaded (or where
+// AudioWorklet is missing)
+function createPitchShifter(ctx) {
+  if (!pitchShifterContexts.has(ctx)) return null;
+  try {
+    return new AudioWorkletNode(ctx, "pitch-shifter", {
+      numberOfInputs: 1,
+      numberOfOutputs: 1,
+      outputChannelCount: [2],
+      channelCount: 2,
+      channelCountMode: "explicit",
+    });
+  } catch {
+    return null;
+  }
+}
+
+// Put a shifter between a running voice's source and trim
+function attachPitchShifter(voice) {
+  if (voice.pitch || !voice.source) return;
+  const pitch = createPitchShifter(voice.source.context);
+  if (!pitch) return;
+  try {
+    voice.source.disconnect(voice.trim);
+    voice.source.connect(pitch);
+    pitch.connect(voice.trim);
+    voice.pitch = pitch;
+  } catch {}
+}
+
+// Whether this browser can shift pitch without changing speed
+function canShiftPitch() {
+  return typeof window !== "undefined" && !!window.AudioWorkletNode;
+}
+
+// "loop" repeats until stopped; "release" repeats until stopped, then
+// plays on into its outro
+function isLoopingMode(mode) {
+  return mode === "loop" || mode === "release";
+}
+
+// Trim points and loop region of a pad in seconds, or null when it simply
+// plays the whole file. The loop region only applies while looping.
+function padPlayRange(pad) {
+  const startSec = Math.max(0, Number(pad?.trimStartSec) || 0);
+  const endSec =
+    Number.isFinite(pad?.trimEndSec) && pad.trimEndSec > startSec
+      ? pad.trimEndSec
+      : null;
+  const hasLoop =
+    Number.isFinite(pad?.loopStartSec) &&
+    Number.isFinite(pad?.loopEndSec) &&
+    pad.loopEndSec > pad.loopStartSec;
+  if (startSec === 0 && endSec == null && !hasLoop) return null;
+  return {
+    startSec,
+    endSec,
+    loopStartSec: hasLoop ? pad.loopStartSec : null,
+    loopEndSec: hasLoop ? pad.loopEndSec : null,
+  };
+}
+
+// Positions in a sound (markers, trim and loop points) are edited as mm:ss.s
+function formatPosition(sec) {
+  const t = Math.round(Math.max(0, Number(sec) || 0) * 10) / 10;
+  const m = Math.floor(t / 60);
+  const rest = (t - m * 60).toFixed(1).padStart(4, "0");
+  return `${String(m).padStart(2, "0")}:${rest}`;
+}
+
+// Accepts "42.3", "0:42.3" or "1:02:03.5"; returns seconds or null
+function parsePosition(str) {
+  const parts = String(str || "")
+    .trim()
+    .split(":");
+  if (parts.length === 0 || parts.length > 3) return null;
+  let sec = 0;
+  for (const part of parts) {
+    const n = Number(part);
+    if (part === "" || !Number.isFinite(n) || n < 0) return null;
+    sec = sec * 60 + n;
+  }
+  return sec;
+}
+
+function cueLabel(cue) {
+  return `Q${cue.number}${cue.name ? ` ${cue.name}` : ""}`;
+}
+
+// Next whole cue number after the highest numbered cue
+function nextCueNumber(cues) {
+  const max = (cues || []).reduce((m, c) => {
+    const n = parseFloat(c.number);
+    return Number.isFinite(n) ? Math.max(m, n) : m;
+  }, 0);
+  return String(Math.floor(max) + 1);
+}
+
+// Fill in defaults for a scene's transition settings
+function normalizeSceneTransition(tr) {
+  const t = tr || {};
+  return {
+    mode: ["cut", "crossfade", "fadeOutThenStart"].includes(t.mode)
+      ? t.mode
+      : "none",
+    timeMs: Math.max(0, Number.isFinite(t.timeMs) ? t.timeMs : 2000),
+    curve: t.curve || "equalPower",
+    startPadIds: Array.isArray(t.startPadIds) ? t.startPadIds : [],
+  };
+}
+
+function clamp01(v) {
+  return Math.max(0, Math.min(1, v));
+}
+function dbToLinear(db) {
+  return Math.pow(10, db / 20);
+}
+function linearToDb(v) {
+  return v <= 0 ? -60 : 20 * Math.log10(v);
+}
+function lighten(hex, amt) {
+  const c = hex.replace("#", "");
+  let r = parseInt(c.substring(0, 2), 16),
+    g = parseInt(c.substring(2, 4), 16),
+    b = parseInt(c.substring(4, 6), 16);
+  r = Math.min(255, Math.floor(r + 255 * amt));
+  g = Math.min(255, Math.floor(g + 255 * amt));
+  b = Math.min(255, Math.floor(b + 255 * amt));
+  return "#" + [r, g, b].map((v) => v.toString(16).padStart(2, "0")).join("");
 }
 
 function getReadableTextColor(hex) {
@@ -3184,16 +6199,544 @@ function useApcSceneMapper(currentScene, midiOut, apcInitedRef) {
   // not a React hook in file bottom, but used via applySceneToAPC call sites
 }
 
+// --- Web Audio graph helpers ---
+// Schedule a fade on an AudioParam from `from` to `to` between start and end
+// (seconds) using one of the FADE_CURVES shapes.
+function scheduleGainFade(param, from, to, start, end, curve = "linear") {
+  if (end <= start) {
+    param.setValueAtTime(to, start);
+    return;
+  }
+  if (!curve || curve === "linear") {
+    param.setValueAtTime(from, start);
+    param.linearRampToValueAtTime(to, end);
+    return;
+  }
+  const values = buildFadeCurve(from, to, curve, 128);
+  try {
+    param.setValueCurveAtTime(values, start, end - start);
+  } catch {
+    param.setValueAtTime(from, start);
+    param.linearRampToValueAtTime(to, end);
+  }
+}
+
+// Sample a fade shape into `points` gain values from `from` to `to`.
+// equalPower follows a quarter sine so crossfading pairs sum to constant
+// power, log is a straight line in decibels (-60 dB floor) and sCurve eases
+// in and out with a half cosine.
+function buildFadeCurve(from, to, curve, points) {
+  const n = Math.max(2, points | 0);
+  const out = new Float32Array(n);
+  const rising = to > from;
+  const fromDb = linearToDb(from);
+  const toDb = linearToDb(to);
+  for (let i = 0; i < n; i++) {
+    const t = i / (n - 1);
+    let v;
+    if (curve === "equalPower") {
+      const s = rising
+        ? Math.sin((t * Math.PI) / 2)
+        : 1 - Math.cos((t * Math.PI) / 2);
+      v = from + (to - from) * s;
+    } else if (curve === "log") {
+      v = dbToLinear(fromDb + (toDb - fromDb) * t);
+    } else if (curve === "sCurve") {
+      v = from + (to - from) * (0.5 - 0.5 * Math.cos(Math.PI * t));
+    } else {
+      v = from + (to - from) * t;
+    }
+    out[i] = clamp01(v);
+  }
+  // Land exactly on the endpoints (the dB floor never reaches silence)
+  out[0] = from;
+  out[n - 1] = to;
+  return out;
+}
+
+// Run a callback when the audio clock reaches `when` (seconds). An inaudible
+// constant source is scheduled to stop at that time; its ended event is not
+// subject to background-tab timer throttling. Returns a cancel function.
+function runAtAudioTime(ctx, when, cb) {
+  try {
+    const src = ctx.createConstantSource();
+    src.offset.value = 0;
+    src.connect(ctx.destination);
+    src.onended = () => {
+      try {
+        src.disconnect();
+      } catch {}
+      cb();
+    };
+    src.start();
+    src.stop(Math.max(ctx.currentTime, when));
+    return () => {
+      src.onended = null;
+      try {
+        src.stop();
+        src.disconnect();
+      } catch {}
+    };
+  } catch {
+    const t = setTimeout(cb, Math.max(0, (when - ctx.currentTime) * 1000));
+    return () => clearTimeout(t);
+  }
+}
+
+// (Re)connect an output bus to its device. The default device is the context
+// destination; any other device gets a MediaStream bridge into an <audio>
+// element whose sink is set to that device.
+function connectOutputBus(
+  ctx,
+  bus,
+  deviceId,
+  limited = false,
+  sink = null,
+  channels = null
+) {
+  try {
+    bus.gain.disconnect();
+    bus.limiter?.output.disconnect();
+    bus.splitter?.disconnect();
+  } catch {}
+  // An enabled limiter sits after the master fader, and the meter reads what
+  // actually leaves the route
+  const out = limited && bus.limiter ? bus.limiter.output : bus.gain;
+  try {
+    if (out !== bus.gain) bus.gain.connect(bus.limiter.input);
+    if (bus.meter) out.connect(bus.meter.input);
+  } catch {}
+  bus.limited = out !== bus.gain;
+  if (bus.sinkEl) {
+    try {
+      bus.sinkEl.pause();
+      bus.sinkEl.srcObject = null;
+    } catch {}
+    bus.sinkEl = null;
+  }
+  bus.deviceId = deviceId;
+  // A channel pair on a multichannel device: left and right go to their own
+  // inputs of the device's merger (clamped to the channels it has)
+  if (sink && channels) {
+    try {
+      bus.splitter = bus.splitter || ctx.createChannelSplitter(2);
+      out.connect(bus.splitter);
+      channels.forEach((ch, i) =>
+        bus.splitter.connect(sink.merger, i, Math.min(ch, sink.size) - 1)
+      );
+      return;
+    } catch {}
+  }
+  if (!deviceId || deviceId === "default") {
+    out.connect(ctx.destination);
+    return;
+  }
+  try {
+    bus.streamDest = bus.streamDest || ctx.createMediaStreamDestination();
+    out.connect(bus.streamDest);
+    const el = new Audio();
+    el.srcObject = bus.streamDest.stream;
+    if (typeof el.setSinkId === "function") {
+      Promise.resolve(el.setSinkId(deviceId)).catch(() => {});
+    }
+    const p = el.play();
+    if (p && typeof p.catch === "function") p.catch(() => {});
+    bus.sinkEl = el;
+  } catch {
+    // Fall back to the default device rather than going silent
+    out.connect(ctx.destination);
+  }
+}
+
+// Memory allowed for preloaded files (Settings → Preload Memory)
+function preloadBudgetMb(settings) {
+  const mb = Number(settings?.preloadBudgetMb);
+  return Number.isFinite(mb) && mb >= 0 ? mb : 512;
+}
+
+// File sizes seen by the preloader, so files over the budget are skipped
+// without fetching them again
+const preloadSizeCache = new Map();
+
+// Files held in memory by the preloader, by URL, and whole-file fetches in
+// flight: the preloader and the waveform peaks cache share both, so neither
+// reads a file the other already has
+const memoryFileBlobs = new Map();
+const fileBlobFetches = new Map();
+
+function fetchFileBlob(url) {
+  const held = memoryFileBlobs.get(url);
+  if (held) return Promise.resolve(held);
+  let pending = fileBlobFetches.get(url);
+  if (!pending) {
+    pending = fetch(url)
+      .then((res) => {
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        return res.blob();
+      })
+      .finally(() => fileBlobFetches.delete(url));
+    fileBlobFetches.set(url, pending);
+  }
+  return pending;
+}
+
+function createPreloadElement(url) {
+  const el = new Audio();
+  el.crossOrigin = "anonymous";
+  el.preload = "auto";
+  el.src = url;
+  el.load();
+  return el;
+}
+
+// One state for all of a pad's files: ready only when every file is
+function padPreloadState(pad, states) {
+  const list = padFiles(pad)
+    .map((f) => states?.[fileSrcUrl(f)]?.status)
+    .filter(Boolean);
+  if (list.length === 0) return null;
+  if (list.includes("loading")) return "loading";
+  if (list.every((st) => st === "ready")) return "ready";
+  return "skipped";
+}
+
+// The browser's AudioContext constructor, or null without Web Audio
+function audioContextCtor() {
+  return (
+    (typeof window !== "undefined" &&
+      (window.AudioContext || window.webkitAudioContext)) ||
+    null
+  );
+}
+
+// Sample rate the engine runs at (Settings → Sample Rate, 48 kHz if unset)
+function engineSampleRate(settings) {
+  const rate = Number(settings?.sampleRate);
+  return rate === 44100 || rate === 48000 ? rate : 48000;
+}
+
+// The output device's own rate: what a context gets when it doesn't ask for
+// one. Probed once per session with a throwaway context.
+let deviceSampleRate;
+
+function probeDeviceSampleRate() {
+  if (deviceSampleRate !== undefined) return deviceSampleRate;
+  deviceSampleRate = null;
+  const Ctor = audioContextCtor();
+  if (!Ctor) return null;
+  try {
+    const probe = new Ctor();
+    deviceSampleRate = probe.sampleRate;
+    Promise.resolve(probe.close()).catch(() => {});
+  } catch {}
+  return deviceSampleRate;
+}
+
+function formatMegabytes(bytes) {
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function formatRate(rate) {
+  return `${(rate / 1000).toFixed(rate % 1000 ? 1 : 0)} kHz`;
+}
+
+// Native sample rate of audio files, by URL (null when it can't be told)
+const assetRateCache = new Map();
+
+// Read the sample rate from the header of an audio file. Only the first
+// 64 KB are fetched; WAV, FLAC, Ogg Vorbis/Opus and MP3 are recognised.
+async function readAssetSampleRate(url) {
+  if (!url) return null;
+  if (assetRateCache.has(url)) return assetRateCache.get(url);
+  let rate = null;
+  try {
+    const res = await fetch(url);
+    const reader = res.body.getReader();
+    const chunks = [];
+    let size = 0;
+    while (size < 65536) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      chunks.push(value);
+      size += value.length;
+    }
+    reader.cancel().catch(() => {});
+    const bytes = new Uint8Array(size);
+    let offset = 0;
+    chunks.forEach((c) => {
+      bytes.set(c, offset);
+      offset += c.length;
+    });
+    rate = parseSampleRate(bytes);
+  } catch {}
+  assetRateCache.set(url, rate);
+  return rate;
+}
+
+function parseSampleRate(b) {
+  const ascii = (at, len) => String.fromCharCode(...b.subarray(at, at + len));
+  const u32le = (at) =>
+    (b[at] | (b[at + 1] << 8) | (b[at + 2] << 16) | (b[at + 3] << 24)) >>> 0;
+  const find = (text) => {
+    outer: for (let i = 0; i + text.length <= b.length; i++) {
+      for (let j = 0; j < text.length; j++) {
+        if (b[i + j] !== text.charCodeAt(j)) continue outer;
+      }
+      return i;
+    }
+    return -1;
+  };
+  if (ascii(0, 4) === "RIFF" && ascii(8, 4) === "WAVE") {
+    let at = 12;
+    while (at + 16 <= b.length) {
+      const len = u32le(at + 4);
+      if (ascii(at, 4) === "fmt ") return u32le(at + 12);
+      at += 8 + len + (len & 1);
+    }
+    return null;
+  }
+  if (ascii(0, 4) === "fLaC") {
+    // STREAMINFO: 20-bit sample rate after the block sizes and frame sizes
+    return (b[18] << 12) | (b[19] << 4) | (b[20] >> 4) || null;
+  }
+  if (ascii(0, 4) === "OggS") {
+    if (find("OpusHead") >= 0) return 48000; // Opus always decodes at 48 kHz
+    const v = find("\x01vorbis");
+    return v >= 0 ? u32le(v + 12) : null;
+  }
+  // MP3: skip an ID3v2 tag, then read the first frame header
+  let at = 0;
+  if (ascii(0, 3) === "ID3") {
+    at =
+      10 +
+      (((b[6] & 0x7f) << 21) |
+        ((b[7] & 0x7f) << 14) |
+        ((b[8] & 0x7f) << 7) |
+        (b[9] & 0x7f));
+  }
+  for (; at + 4 <= b.length; at++) {
+    if (b[at] !== 0xff || (b[at + 1] & 0xe0) !== 0xe0) continue;
+    const version = (b[at + 1] >> 3) & 3; // 3: MPEG-1, 2: MPEG-2, 0: MPEG-2.5
+    const layer = (b[at + 1] >> 1) & 3;
+    const index = (b[at + 2] >> 2) & 3;
+    if (version === 1 || layer === 0 || index === 3) continue;
+    const base = [44100, 48000, 32000][index];
+    return version === 3 ? base : version === 2 ? base / 2 : base / 4;
+  }
+  return null;
+}
+
+// A route's channel pair as 1-based [left, right], or null for the device's
+// own stereo output
+function normalizeChannels(channels) {
+  if (!Array.isArray(channels)) return null;
+  const pair = channels.slice(0, 2).map((c) => Math.floor(Number(c)));
+  if (pair.length !== 2 || pair.some((c) => !(c >= 1 && c <= 32))) return null;
+  return pair;
+}
+
+// Open a device for channel-mapped routes: a merger with one input per
+// channel into the device, which plays the channels as discrete outputs
+function openDeviceSink(ctx, deviceId, size) {
+  try {
+    const merger = ctx.createChannelMerger(size);
+    const discrete = (node) => {
+      try {
+        node.channelCount = size;
+        node.channelCountMode = "explicit";
+        node.channelInterpretation = "discrete";
+      } catch {}
+    };
+    if (!deviceId || deviceId === "default") {
+      discrete(ctx.destination);
+      merger.connect(ctx.destination);
+      return { merger, size };
+    }
+    const streamDest = ctx.createMediaStreamDestination();
+    discrete(streamDest);
+    merger.connect(streamDest);
+    const el = new Audio();
+    el.srcObject = streamDest.stream;
+    if (typeof el.setSinkId === "function") {
+      Promise.resolve(el.setSinkId(deviceId)).catch(() => {});
+    }
+    const p = el.play();
+    if (p && typeof p.catch === "function") p.catch(() => {});
+    return { merger, size, streamDest, sinkEl: el };
+  } catch {
+    return null;
+  }
+}
+
+function closeDeviceSink(sink) {
+  if (!sink) return;
+  try {
+    sink.merger.disconnect();
+    sink.sinkEl?.pause();
+    if (sink.sinkEl) sink.sinkEl.srcObject = null;
+  } catch {}
+}
+
+// Per-voice tone chain: high-pass, low shelf, mid peak, high shelf, panner
+function createToneChain(ctx) {
+  const filter = (type, freq) => {
+    const f = ctx.createBiquadFilter();
+    f.type = type;
+    f.frequency.value = freq;
+    return f;
+  };
+  const hp = filter("highpass", 10);
+  const low = filter("lowshelf", 200);
+  const mid = filter("peaking", 1000);
+  const high = filter("highshelf", 4000);
+  const pan =
+    typeof ctx.createStereoPanner === "function"
+      ? ctx.createStereoPanner()
+      : null;
+  hp.connect(low);
+  low.connect(mid);
+  mid.connect(high);
+  if (pan) high.connect(pan);
+  return { input: hp, output: pan || high, hp, low, mid, high, pan };
+}
+
+function applyToneChain(ctx, chain, tone) {
+  const set = (param, value) => {
+    try {
+      param.setTargetAtTime(value, ctx.currentTime, 0.02);
+    } catch {}
+  };
+  // A 10 Hz high-pass stands in for "off" so the chain never needs rewiring
+  set(chain.hp.frequency, Math.max(10, tone.hpHz));
+  set(chain.low.gain, tone.lowDb);
+  set(chain.mid.gain, tone.midDb);
+  set(chain.mid.frequency, tone.midHz);
+  set(chain.high.gain, tone.highDb);
+  if (chain.pan) set(chain.pan.pan, tone.pan);
+}
+
+// Shared effect return: a convolution reverb on a generated decaying-noise
+// impulse, or a feedback delay
+function createFxReturn(ctx, kind) {
+  try {
+    const input = ctx.createGain();
+    const output = ctx.createGain();
+    if (kind === "reverb") {
+      const seconds = 2.4;
+      const length = Math.floor(ctx.sampleRate * seconds);
+      const impulse = ctx.createBuffer(2, length, ctx.sampleRate);
+      for (let c = 0; c < 2; c++) {
+        const data = impulse.getChannelData(c);
+        for (let i = 0; i < length; i++) {
+          data[i] = (Math.random() * 2 - 1) * Math.pow(1 - i / length, 3);
+        }
+      }
+      const convolver = ctx.createConvolver();
+      convolver.buffer = impulse;
+      input.connect(convolver);
+      convolver.connect(output);
+    } else {
+      const delay = ctx.createDelay(2);
+      delay.delayTime.value = 0.35;
+      const feedback = ctx.createGain();
+      feedback.gain.value = 0.35;
+      input.connect(delay);
+      delay.connect(feedback);
+      feedback.connect(delay);
+      delay.connect(output);
+    }
+    return { input, output };
+  } catch {
+    return null;
+  }
+}
+
+// Output protection settings of a route, with defaults filled in
+function normalizeLimiter(cfg) {
+  const num = (v, d) => (Number.isFinite(Number(v)) ? Number(v) : d);
+  return {
+    enabled: !!cfg?.enabled,
+    mode: cfg?.mode === "compressor" ? "compressor" : "limiter",
+    thresholdDb: Math.max(-60, Math.min(0, num(cfg?.thresholdDb, -1))),
+    releaseMs: Math.max(10, Math.min(1000, num(cfg?.releaseMs, 250))),
+  };
+}
+
+// Output protection stage: compressor -> trim -> ceiling. The trim cancels
+// the compressor's automatic makeup gain, so lowering the threshold never
+// makes the route louder; the ceiling is a hard clip that nothing passes.
+function createOutputLimiter(ctx) {
+  try {
+    const compressor = ctx.createDynamicsCompressor();
+    const trim = ctx.createGain();
+    const ceiling = ctx.createWaveShaper();
+    ceiling.oversample = "none";
+    compressor.connect(trim);
+    trim.connect(ceiling);
+    return { compressor, trim, ceiling, input: compressor, output: ceiling };
+  } catch {
+    return null;
+  }
+}
+
+// The limiter is the compressor at its hardest (20:1, hard knee, 1 ms
+// attack) with the ceiling at the threshold, which catches the transients
+// the compressor lets through. Compressor mode is a gentler 4:1 with a soft
+// knee and no ceiling.
+function applyLimiterSettings(ctx, stage, cfg) {
+  const set = (param, value) => {
+    try {
+      param.setValueAtTime(value, ctx.currentTime);
+    } catch {}
+  };
+  const hard = cfg.mode === "limiter";
+  const ratio = hard ? 20 : 4;
+  const node = stage.compressor;
+  set(node.threshold, cfg.thresholdDb);
+  set(node.knee, hard ? 0 : 6);
+  set(node.ratio, ratio);
+  set(node.attack, hard ? 0.001 : 0.01);
+  set(node.release, cfg.releaseMs / 1000);
+  // The node adds (1 / gain at 0 dBFS)^0.6 of makeup gain (exact for the
+  // hard knee, close for the soft one); take it back out
+  const makeupDb = -0.6 * cfg.thresholdDb * (1 - 1 / ratio);
+  set(stage.trim.gain, dbToLinear(-makeupDb));
+  const sig = hard ? cfg.thresholdDb : null;
+  if (stage.ceilingDb !== sig) {
+    stage.ceilingDb = sig;
+    stage.ceiling.curve = hard
+      ? hardClipCurve(dbToLinear(cfg.thresholdDb))
+      : null;
+  }
+}
+
+// WaveShaper curve passing -1..1 unchanged except for clipping at ±limit;
+// input beyond ±1 maps to the ends, so it clips too
+function hardClipCurve(limit) {
+  const n = 4097;
+  const curve = new Float32Array(n);
+  for (let i = 0; i < n; i++) {
+    const x = (i / (n - 1)) * 2 - 1;
+    curve[i] = Math.max(-limit, Math.min(limit, x));
+  }
+  return curve;
+}
+
 // --- Persistence helpers ---
 function serializeShowForSave(show) {
   const safe = structuredClone(show || {});
   // Strip ephemeral object URLs (blob:) so imports are portable across sessions
   (safe.scenes || []).forEach((scene) => {
     ["background", "ambients", "sfx"].forEach((gk) => {
-      (scene[gk] || []).forEach((p) => {
-        if (typeof p.assetUrl === "string" && p.assetUrl.startsWith("blob:")) {
-          delete p.assetUrl;
-        }
+      (scene[gk] || []).forEach((pad) => {
+        padFileSlots(pad).forEach((p) => {
+          if (
+            typeof p.assetUrl === "string" &&
+            p.assetUrl.startsWith("blob:")
+          ) {
+            delete p.assetUrl;
+          }
+        });
       });
     });
   });
@@ -3228,6 +6771,8 @@ function migrateLoadedShow(obj) {
     scene.sfx = Array.isArray(scene.sfx) ? scene.sfx : [];
   });
   data.groups = Array.isArray(data.groups) ? data.groups : [];
+  data.cues = Array.isArray(data.cues) ? data.cues : [];
+  data.mixer = normalizeMixer(data.mixer);
   data.settings = data.settings || { theme: "dark" };
   return data;
 }
@@ -3236,16 +6781,72 @@ function isUrlLike(path) {
   return /^(https?:|blob:|tauri:)/.test(path || "");
 }
 
+// Every file slot of a pad: its own file, then its pool entries, each with
+// `assetPath` and `assetUrl`. Relinking and saving go through all of them.
+function padFileSlots(pad) {
+  return [pad, ...(Array.isArray(pad?.pool) ? pad.pool : [])];
+}
+
+function shuffleInPlace(list) {
+  for (let i = list.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [list[i], list[j]] = [list[j], list[i]];
+  }
+  return list;
+}
+
+// Play order of a playlist pad's tracks and the position in it
+function newPlaylist(pad, count) {
+  const order = Array.from({ length: count }, (_, i) => i);
+  if (pad.playlistShuffle) shuffleInPlace(order);
+  return {
+    order,
+    pos: 0,
+    repeat: !!pad.playlistRepeat,
+    shuffle: !!pad.playlistShuffle,
+  };
+}
+
+// Position `dir` tracks away, or null past either end. A repeating playlist
+// wraps, and a shuffled one is dealt again for the next round (not known
+// yet when only peeking, so that gives null too).
+function playlistStep(playlist, dir, peek = false) {
+  const n = playlist.order.length;
+  const pos = playlist.pos + dir;
+  if (pos >= 0 && pos < n) return pos;
+  if (!playlist.repeat || n === 0) return null;
+  if (pos >= n && playlist.shuffle) {
+    if (peek) return null;
+    const last = playlist.order[playlist.pos];
+    shuffleInPlace(playlist.order);
+    if (n > 1 && playlist.order[0] === last) {
+      playlist.order.push(playlist.order.shift());
+    }
+  }
+  return (pos + n) % n;
+}
+
+// The slots a pad can actually play
+function padFiles(pad) {
+  return padFileSlots(pad).filter((f) => f && (f.assetUrl || f.assetPath));
+}
+
+function fileSrcUrl(file) {
+  return file?.assetUrl || (isUrlLike(file?.assetPath) ? file.assetPath : null);
+}
+
 function countRelinkCandidates(show) {
   let n = 0;
   try {
     (show.scenes || []).forEach((scene) => {
       ["background", "ambients", "sfx"].forEach((gk) => {
-        (scene[gk] || []).forEach((p) => {
-          const name = fileNameFromPath(p.assetPath || "");
-          if (!name) return;
-          if (isUrlLike(name) || p.assetUrl) return;
-          n++;
+        (scene[gk] || []).forEach((pad) => {
+          padFileSlots(pad).forEach((p) => {
+            const name = fileNameFromPath(p.assetPath || "");
+            if (!name) return;
+            if (isUrlLike(name) || p.assetUrl) return;
+            n++;
+          });
         });
       });
     });
@@ -3277,10 +6878,12 @@ async function autoRelinkFromStoredHandle(setShow, setStatus, show) {
     const needed = new Set();
     (show.scenes || []).forEach((scene) => {
       ["background", "ambients", "sfx"].forEach((gk) => {
-        (scene[gk] || []).forEach((p) => {
-          const name = fileNameFromPath(p.assetPath || "");
-          if (!name || isUrlLike(name) || p.assetUrl) return;
-          needed.add(name);
+        (scene[gk] || []).forEach((pad) => {
+          padFileSlots(pad).forEach((p) => {
+            const name = fileNameFromPath(p.assetPath || "");
+            if (!name || isUrlLike(name) || p.assetUrl) return;
+            needed.add(name);
+          });
         });
       });
     });
@@ -3300,13 +6903,15 @@ async function autoRelinkFromStoredHandle(setShow, setStatus, show) {
       const next = structuredClone(prev);
       (next.scenes || []).forEach((scene) => {
         ["background", "ambients", "sfx"].forEach((gk) => {
-          (scene[gk] || []).forEach((p) => {
-            const key = fileNameFromPath(p.assetPath || "");
-            const url = nameToUrl.get(key);
-            if (url) {
-              p.assetUrl = url;
-              linked++;
-            }
+          (scene[gk] || []).forEach((pad) => {
+            padFileSlots(pad).forEach((p) => {
+              const key = fileNameFromPath(p.assetPath || "");
+              const url = nameToUrl.get(key);
+              if (url) {
+                p.assetUrl = url;
+                linked++;
+              }
+            });
           });
         });
       });
@@ -3319,17 +6924,20 @@ async function autoRelinkFromStoredHandle(setShow, setStatus, show) {
   }
 }
 
-// IDB helpers to save/load a directory handle
+// IDB helpers to save/load a directory handle and cached waveform peaks
 function openIdb() {
   return new Promise((resolve, reject) => {
     try {
-      const req = indexedDB.open("soundboard-db", 1);
+      const req = indexedDB.open("soundboard-db", 2);
       req.onupgradeneeded = () => {
         try {
           const db = req.result;
           if (!db.objectStoreNames.contains("handles")) {
             db.createObjectStore("handles");
           }
+          if (!db.objectStoreNames.contains("peaks")) {
+            db.createObjectStore("peaks");
+          }
         } catch {}
       };
       req.onsuccess = () => resolve(req.result);
@@ -3375,35 +6983,274 @@ async function loadRootDirectoryHandle() {
   }
 }
 
-function SettingsModal({
-  settings,
-  scene,
-  onUpdateSettings,
-  onUpdatePadRoute,
-  onClose,
-}) {
-  const [log, setLog] = useState([]);
-  const [midiAccess, setMidiAccess] = useState(null);
-  const [webInId, setWebInId] = useState("");
-  const [webOutId, setWebOutId] = useState("");
-  const [webSupported, setWebSupported] = useState(false);
-  const webInputRef = useRef(null);
-  const [testUrl, setTestUrl] = useState("");
-  const [testName, setTestName] = useState("");
-  const [testMsg, setTestMsg] = useState("");
-  const audioRef = useRef(null);
-  const [audioOutputs, setAudioOutputs] = useState([]);
-  const [showPerPadRouting, setShowPerPadRouting] = useState(false);
-
-  const routing = settings?.audioRouting || {};
-  const outputs = Array.isArray(routing.outputs)
-    ? routing.outputs
+async function loadCachedPeaks(key) {
+  try {
+    const db = await openIdb();
+    const record = await new Promise((resolve, reject) => {
+      const tx = db.transaction("peaks", "readonly");
+      const req = tx.objectStore("peaks").get(key);
+      req.onsuccess = () => resolve(req.result || null);
+      req.onerror = () => reject(req.error);
+    });
+    try {
+      db.close();
+    } catch {}
+    return record;
+  } catch {
+    return null;
+  }
+}
+
+async function saveCachedPeaks(key, record) {
+  try {
+    const db = await openIdb();
+    await new Promise((resolve, reject) => {
+      const tx = db.transaction("peaks", "readwrite");
+      const req = tx.objectStore("peaks").put(record, key);
+      req.onsuccess = () => resolve();
+      req.onerror = () => reject(req.error);
+    });
+    try {
+      db.close();
+    } catch {}
+  } catch {}
+}
+
+// Waveform peaks are computed once per file and shared by every pad and
+// scene that shows it. They are kept in IndexedDB under the file's identity
+// (name, size and a hash of evenly spaced slices of it), so they survive
+// reloads and relinking, where the file's URL changes.
+const WAVEFORM_PEAKS_PER_SECOND = 50;
+const WAVEFORM_MAX_PEAKS = 20000;
+const FILE_IDENTITY_SLICES = 16;
+const FILE_IDENTITY_SLICE_BYTES = 16384;
+const waveformPeaksByUrl = new Map();
+let waveformDecodeQueue = Promise.resolve();
+
+// Resolves to { peaks, duration } for WaveSurfer, or null when the file
+// can't be read or decoded
+function loadWaveformPeaks(url, name) {
+  if (!url) return Promise.resolve(null);
+  if (!waveformPeaksByUrl.has(url)) {
+    const pending = (async () => {
+      const key = await fileIdentityKey(url, name);
+      const cached = key ? await loadCachedPeaks(key) : null;
+      if (cached?.peaks) return cached;
+      // One file at a time: decoding long beds side by side stalls the UI.
+      // The whole file is only read now, and shared with the preloader.
+      const decode = waveformDecodeQueue.then(async () =>
+        computeWaveformPeaks(await fetchFileBlob(url))
+      );
+      waveformDecodeQueue = decode.catch(() => {});
+      const record = await decode;
+      if (record && key) saveCachedPeaks(key, record);
+      return record;
+    })().catch(() => null);
+    waveformPeaksByUrl.set(url, pending);
+  }
+  return waveformPeaksByUrl.get(url);
+}
+
+// Identity of a file without reading all of it: slices come from the
+// preloaded copy when there is one, otherwise from Range requests. Null
+// when that isn't possible (no Range support, or no SubtleCrypto outside
+// secure contexts); the peaks are then kept in memory only.
+async function fileIdentityKey(url, name) {
+  const slice = FILE_IDENTITY_SLICE_BYTES;
+  try {
+    const held = memoryFileBlobs.get(url);
+    const head = held ? null : await fetchFileRange(url, 0, slice - 1);
+    const size = held ? held.size : head?.size;
+    if (!size) return null;
+    const parts = [];
+    for (let i = 0; i < FILE_IDENTITY_SLICES; i++) {
+      const start = Math.max(
+        0,
+        Math.floor(((size - slice) * i) / (FILE_IDENTITY_SLICES - 1))
+      );
+      const end = Math.min(size, start + slice);
+      const part = held
+        ? held.slice(start, end)
+        : start === 0
+        ? head.blob
+        : (await fetchFileRange(url, start, end - 1))?.blob;
+      if (!part) return null;
+      parts.push(part);
+    }
+    const digest = await crypto.subtle.digest(
+      "SHA-256",
+      await new Blob(parts).arrayBuffer()
+    );
+    const hex = Array.from(new Uint8Array(digest).slice(0, 16), (b) =>
+      b.toString(16).padStart(2, "0")
+    ).join("");
+    return `${fileNameFromPath(name || "")}:${size}:${hex}`;
+  } catch {
+    return null;
+  }
+}
+
+// Bytes `start`..`end` of a file and its total size, or null when the
+// server (or browser, for blob: URLs) doesn't honour the Range header
+async function fetchFileRange(url, start, end) {
+  const res = await fetch(url, { headers: { Range: `bytes=${start}-${end}` } });
+  const total = Number((res.headers.get("Content-Range") || "").split("/")[1]);
+  if (res.status !== 206 || !total) {
+    res.body?.cancel().catch(() => {});
+    return null;
+  }
+  return { blob: await res.blob(), size: total };
+}
+
+async function computeWaveformPeaks(blob) {
+  const Ctor = typeof window !== "undefined" && window.OfflineAudioContext;
+  if (!Ctor) return null;
+  const ctx = new Ctor(1, 1, 44100);
+  const buffer = await ctx.decodeAudioData(await blob.arrayBuffer());
+  const count = Math.max(
+    1,
+    Math.min(
+      WAVEFORM_MAX_PEAKS,
+      Math.ceil(buffer.duration * WAVEFORM_PEAKS_PER_SECOND)
+    )
+  );
+  const peaks = new Float32Array(count);
+  const step = buffer.length / count;
+  for (let c = 0; c < buffer.numberOfChannels; c++) {
+    const data = buffer.getChannelData(c);
+    for (let i = 0; i < count; i++) {
+      const end = Math.min(data.length, Math.floor((i + 1) * step));
+      let max = peaks[i];
+      for (let j = Math.floor(i * step); j < end; j++) {
+        const v = Math.abs(data[j]);
+        if (v > max) max = v;
+      }
+      peaks[i] = max;
+    }
+  }
+  return { peaks, duration: buffer.duration };
+}
+
+function SettingsModal({
+  settings,
+  scene,
+  getOutputLimiters,
+  defaultDeviceChannels,
+  engineRate,
+  assets,
+  preloadStates,
+  onUpdateSettings,
+  onUpdatePadRoute,
+  onClose,
+}) {
+  const [log, setLog] = useState([]);
+  const [midiAccess, setMidiAccess] = useState(null);
+  const [webInId, setWebInId] = useState("");
+  const [webOutId, setWebOutId] = useState("");
+  const [webSupported, setWebSupported] = useState(false);
+  const webInputRef = useRef(null);
+  const [testUrl, setTestUrl] = useState("");
+  const [testName, setTestName] = useState("");
+  const [testMsg, setTestMsg] = useState("");
+  const audioRef = useRef(null);
+  const [audioOutputs, setAudioOutputs] = useState([]);
+  const [showPerPadRouting, setShowPerPadRouting] = useState(false);
+  const [deviceRate] = useState(probeDeviceSampleRate);
+  const [assetRates, setAssetRates] = useState({});
+
+  const routing = settings?.audioRouting || {};
+  const outputs = Array.isArray(routing.outputs)
+    ? routing.outputs
     : [{ key: "master", label: "Master", deviceId: "default" }];
   const groupDefault = routing.groupDefault || {
     background: "master",
     ambients: "master",
     sfx: "master",
   };
+  const ducking = Array.isArray(settings?.ducking) ? settings.ducking : [];
+
+  function updateOutput(routeKey, update) {
+    onUpdateSettings((prev) => {
+      const next = structuredClone(prev || {});
+      const list = Array.isArray(next.audioRouting?.outputs)
+        ? next.audioRouting.outputs
+        : outputs;
+      next.audioRouting = {
+        ...(next.audioRouting || {}),
+        outputs: list.map((o) => (o.key === routeKey ? update(o) : o)),
+        groupDefault: next.audioRouting?.groupDefault || groupDefault,
+      };
+      return next;
+    });
+  }
+
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      for (const asset of assets || []) {
+        const rate = await readAssetSampleRate(asset.url);
+        if (cancelled) return;
+        setAssetRates((prev) =>
+          prev[asset.url] === rate ? prev : { ...prev, [asset.url]: rate }
+        );
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, [assets]);
+
+  const chosenRate = engineSampleRate(settings);
+  const preloadSummary = { total: 0, ready: 0, skipped: 0, bytes: 0 };
+  Object.values(preloadStates || {}).forEach((st) => {
+    preloadSummary.total += 1;
+    if (st.status === "ready") {
+      preloadSummary.ready += 1;
+      preloadSummary.bytes += st.bytes || 0;
+    } else if (st.status !== "loading") {
+      preloadSummary.skipped += 1;
+    }
+  });
+  const mismatchedAssets = (assets || []).filter(
+    (a) => assetRates[a.url] && assetRates[a.url] !== chosenRate
+  );
+
+  function updateOutputLimiter(routeKey, patch) {
+    updateOutput(routeKey, (o) => ({
+      ...o,
+      limiter: { ...normalizeLimiter(o.limiter), ...patch },
+    }));
+  }
+
+  // Channel pair picker for an output route ("" keeps the device's stereo)
+  const channelSelect = (o) => (
+    <select
+      value={normalizeChannels(o.channels)?.[0] || ""}
+      onChange={(e) => {
+        const first = Number(e.target.value);
+        updateOutput(o.key, (x) => {
+          const { channels, ...rest } = x;
+          return first ? { ...rest, channels: [first, first + 1] } : rest;
+        });
+      }}
+    >
+      <option value="">Device default</option>
+      {OUTPUT_CHANNEL_PAIRS.map((first) => (
+        <option key={first} value={first}>
+          Channels {first}/{first + 1}
+        </option>
+      ))}
+    </select>
+  );
+
+  function updateDuckRule(id, patch) {
+    onUpdateSettings((prev) => ({
+      ...prev,
+      ducking: (prev.ducking || []).map((r) =>
+        r.id === id ? { ...r, ...patch } : r
+      ),
+    }));
+  }
 
   useEffect(() => {
     const supported =
@@ -3566,6 +7413,10 @@ function SettingsModal({
                 ))}
               </select>
             </div>
+            <div className="field" style={{ flex: 1 }}>
+              <label>Channels</label>
+              {channelSelect(outputs[0] || { key: "master" })}
+            </div>
             <div className="field" style={{ flex: 1 }}>
               <label>Sample Rate</label>
               <select
@@ -3579,6 +7430,44 @@ function SettingsModal({
               </select>
             </div>
           </div>
+          <div style={{ color: "#888", fontSize: 12, marginTop: 6 }}>
+            {engineRate
+              ? `Engine running at ${formatRate(engineRate)}.`
+              : `Engine starts at ${formatRate(
+                  chosenRate
+                )} with the next sound.`}
+            {deviceRate
+              ? ` Output device runs at ${formatRate(deviceRate)}.`
+              : ""}
+            {deviceRate && deviceRate !== (engineRate || chosenRate)
+              ? " The browser resamples between the two."
+              : ""}
+            {engineRate && engineRate !== chosenRate
+              ? ` The device refused ${formatRate(chosenRate)}.`
+              : ""}
+          </div>
+          {mismatchedAssets.length > 0 && (
+            <div style={{ color: "#f59e0b", fontSize: 12, marginTop: 6 }}>
+              {mismatchedAssets.length} file(s) in this scene are not at{" "}
+              {formatRate(chosenRate)} and will be resampled:{" "}
+              {mismatchedAssets
+                .slice(0, 5)
+                .map((a) => `${a.name} (${formatRate(assetRates[a.url])})`)
+                .join(", ")}
+              {mismatchedAssets.length > 5
+                ? `, and ${mismatchedAssets.length - 5} more`
+                : ""}
+            </div>
+          )}
+          {outputs.some((o) => normalizeChannels(o.channels)) && (
+            <div style={{ color: "#888", fontSize: 12, marginTop: 6 }}>
+              Routes with a channel pair play on those outputs of a multichannel
+              device.
+              {defaultDeviceChannels
+                ? ` The system default device reports ${defaultDeviceChannels} output channel(s).`
+                : ""}
+            </div>
+          )}
           <div className="field" style={{ marginTop: 10 }}>
             <button
               className="btn sm"
@@ -3668,12 +7557,121 @@ function SettingsModal({
                         </option>
                       ))}
                     </select>
+                    {channelSelect(o)}
                   </div>
                 ))}
               </div>
             </div>
           )}
 
+          <div style={{ margin: "16px 0", color: "#bbb" }}>Preloading</div>
+          <div className="row">
+            <div className="field" style={{ flex: 1 }}>
+              <label>Preload Memory (MB)</label>
+              <input
+                type="number"
+                min="0"
+                step="64"
+                value={preloadBudgetMb(settings)}
+                onChange={(e) =>
+                  onUpdateSettings({
+                    preloadBudgetMb: Math.max(0, Number(e.target.value) || 0),
+                  })
+                }
+              />
+            </div>
+          </div>
+          <div style={{ color: "#888", fontSize: 12, marginTop: 6 }}>
+            {`${preloadSummary.ready} of ${
+              preloadSummary.total
+            } file(s) of this scene and the next are in memory (${formatMegabytes(
+              preloadSummary.bytes
+            )} of ${preloadBudgetMb(settings)} MB of file data).`}
+            {preloadSummary.skipped
+              ? ` ${preloadSummary.skipped} did not fit, could not be read or were not primed in time.`
+              : ""}{" "}
+            Files are kept as stored, not decoded, so the budget counts their
+            size on disk.
+          </div>
+
+          <div style={{ margin: "16px 0", color: "#bbb" }}>
+            Output Protection
+          </div>
+          {outputs.map((o) => {
+            const lim = normalizeLimiter(o.limiter);
+            return (
+              <div key={o.key} className="rowFlex">
+                <div className="field" style={{ flex: 2 }}>
+                  <label>Output</label>
+                  <label style={{ color: "#ddd" }}>
+                    <input
+                      type="checkbox"
+                      checked={lim.enabled}
+                      onChange={(e) =>
+                        updateOutputLimiter(o.key, {
+                          enabled: e.target.checked,
+                        })
+                      }
+                    />
+                    {o.label || o.key}
+                  </label>
+                </div>
+                <div className="field">
+                  <label>Type</label>
+                  <select
+                    value={lim.mode}
+                    disabled={!lim.enabled}
+                    onChange={(e) =>
+                      updateOutputLimiter(o.key, { mode: e.target.value })
+                    }
+                  >
+                    <option value="limiter">Brickwall limiter</option>
+                    <option value="compressor">Compressor</option>
+                  </select>
+                </div>
+                <div className="field">
+                  <label>Threshold (dB)</label>
+                  <input
+                    type="number"
+                    min="-60"
+                    max="0"
+                    step="0.5"
+                    value={lim.thresholdDb}
+                    disabled={!lim.enabled}
+                    onChange={(e) =>
+                      updateOutputLimiter(o.key, {
+                        thresholdDb: Number(e.target.value),
+                      })
+                    }
+                  />
+                </div>
+                <div className="field">
+                  <label>Release (ms)</label>
+                  <input
+                    type="number"
+                    min="10"
+                    max="1000"
+                    step="10"
+                    value={lim.releaseMs}
+                    disabled={!lim.enabled}
+                    onChange={(e) =>
+                      updateOutputLimiter(o.key, {
+                        releaseMs: Number(e.target.value),
+                      })
+                    }
+                  />
+                </div>
+                <div className="field" style={{ alignSelf: "flex-end" }}>
+                  {lim.enabled && (
+                    <GainReductionReadout
+                      source={() => getOutputLimiters?.(o.key) || []}
+                    />
+                  )}
+                </div>
+              </div>
+            );
+          })}
+
           <div style={{ margin: "16px 0", color: "#bbb" }}>Default Routing</div>
           <div className="rowFlex">
             <div className="field">
@@ -3759,6 +7757,119 @@ function SettingsModal({
             </div>
           </div>
 
+          <div style={{ margin: "16px 0", color: "#bbb" }}>Ducking</div>
+          {ducking.length === 0 && (
+            <div style={{ color: "#888", marginBottom: 8 }}>
+              No ducking rules
+            </div>
+          )}
+          {ducking.map((r) => (
+            <div key={r.id} className="rowFlex">
+              <div className="field">
+                <label>When This Plays</label>
+                <select
+                  value={r.sourceGroup}
+                  onChange={(e) =>
+                    updateDuckRule(r.id, { sourceGroup: e.target.value })
+                  }
+                >
+                  {LANE_OPTIONS.map((l) => (
+                    <option key={l.value} value={l.value}>
+                      {l.label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div className="field">
+                <label>Duck This</label>
+                <select
+                  value={r.targetGroup}
+                  onChange={(e) =>
+                    updateDuckRule(r.id, { targetGroup: e.target.value })
+                  }
+                >
+                  {LANE_OPTIONS.map((l) => (
+                    <option key={l.value} value={l.value}>
+                      {l.label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div className="field">
+                <label>By (dB)</label>
+                <input
+                  type="number"
+                  min="0"
+                  step="1"
+                  value={r.amountDb ?? 12}
+                  onChange={(e) =>
+                    updateDuckRule(r.id, { amountDb: Number(e.target.value) })
+                  }
+                />
+              </div>
+              <div className="field">
+                <label>Attack (ms)</label>
+                <input
+                  type="number"
+                  min="0"
+                  value={r.attackMs ?? 150}
+                  onChange={(e) =>
+                    updateDuckRule(r.id, { attackMs: Number(e.target.value) })
+                  }
+                />
+              </div>
+              <div className="field">
+                <label>Release (ms)</label>
+                <input
+                  type="number"
+                  min="0"
+                  value={r.releaseMs ?? 800}
+                  onChange={(e) =>
+                    updateDuckRule(r.id, { releaseMs: Number(e.target.value) })
+                  }
+                />
+              </div>
+              <div className="field" style={{ alignSelf: "flex-end" }}>
+                <button
+                  className="btn sm red"
+                  onClick={() =>
+                    onUpdateSettings((prev) => ({
+                      ...prev,
+                      ducking: (prev.ducking || []).filter(
+                        (x) => x.id !== r.id
+                      ),
+                    }))
+                  }
+                >
+                  Remove
+                </button>
+              </div>
+            </div>
+          ))}
+          <div className="field">
+            <button
+              className="btn sm"
+              onClick={() =>
+                onUpdateSettings((prev) => ({
+                  ...prev,
+                  ducking: [
+                    ...(prev.ducking || []),
+                    {
+                      id: `duck-${Math.random().toString(36).slice(2, 8)}`,
+                      sourceGroup: "sfx",
+                      targetGroup: "background",
+                      amountDb: 12,
+                      attackMs: 150,
+                      releaseMs: 800,
+                    },
+                  ],
+                }))
+              }
+            >
+              + Add Ducking Rule
+            </button>
+          </div>
+
           <div
             className="accordionHeader"
             onClick={() => setShowPerPadRouting((v) => !v)}
@@ -4154,6 +8265,8 @@ function SoundEditorDrawer({
       level: 0.8,
       fadeInMs: 0,
       fadeOutMs: 500,
+      fadeInCurve: "linear",
+      fadeOutCurve: "linear",
     }
   );
   useEffect(() => {
@@ -4199,14 +8312,55 @@ function SoundEditorDrawer({
 
   const ensureTrigger = (overrides = {}) => ({
     id: `trg-${Math.random().toString(36).slice(2, 8)}`,
-    phase: "onStart", // or "onStop"
-    action: "none", // none | play | stop | fade | fadeIn | fadeOut
+    phase: "onStart", // or "onStop" / "onEnd"
+    action: "none", // see TRIGGER_ACTIONS
     sceneId: scene.id,
     padId: pad?.id || "",
     timeMs: 200,
     ...overrides,
   });
 
+  // Choke group names already used anywhere in the show
+  const chokeGroups = useMemo(() => {
+    const names = new Set();
+    (scenes || []).forEach((sc) =>
+      ["background", "ambients", "sfx"].forEach((gk) =>
+        (sc[gk] || []).forEach((p) => {
+          const name = (p.chokeGroup || "").trim();
+          if (name) names.add(name);
+        })
+      )
+    );
+    return Array.from(names).sort();
+  }, [scenes]);
+
+  const tone = padTone(state);
+  const updatePoolFile = (id, patch) =>
+    setState((s) => ({
+      ...s,
+      pool: (s.pool || []).map((f) => (f.id === id ? { ...f, ...patch } : f)),
+    }));
+  const setEq = (patch) =>
+    setState((s) => ({ ...s, eq: { ...(s.eq || {}), ...patch } }));
+
+  const ensureMarker = () => ({
+    id: `mrk-${Math.random().toString(36).slice(2, 8)}`,
+    timeSec: 0,
+    label: "",
+    action: "none", // see TRIGGER_ACTIONS
+    sceneId: scene.id,
+    padId: pad?.id || "",
+    timeMs: 200,
+  });
+
+  const updateMarker = (id, patch) =>
+    setState((s) => ({
+      ...s,
+      markers: (s.markers || [])
+        .map((x) => (x.id === id ? { ...x, ...patch } : x))
+        .sort((a, b) => a.timeSec - b.timeSec),
+    }));
+
   return (
     <>
       <div className="drawerBackdrop" onClick={onClose} />
@@ -4272,11 +8426,18 @@ function SoundEditorDrawer({
               <select
                 value={state.playbackMode}
                 onChange={(e) =>
-                  setState((s) => ({ ...s, playbackMode: e.target.value }))
+                  setState((s) => ({
+                    ...s,
+                    playbackMode: e.target.value,
+                    // A mode picked here replaces one Toggle Loop remembered
+                    loopToggleMode: undefined,
+                  }))
                 }
               >
                 <option value="once">Play once</option>
                 <option value="loop">Loop until stopped</option>
+                <option value="release">Loop until released, then outro</option>
+                <option value="playlist">Playlist</option>
               </select>
             </div>
             <div className="field">
@@ -4322,54 +8483,555 @@ function SoundEditorDrawer({
               </div>
             </div>
           </div>
-          <div className="field">
-            <label>Audio File</label>
-            <div className="rowFlex">
+          <div className="rowFlex">
+            <div className="field">
+              <label>Retrigger</label>
+              <select
+                value={state.retrigger || ""}
+                onChange={(e) =>
+                  setState((s) => ({
+                    ...s,
+                    retrigger: e.target.value || undefined,
+                  }))
+                }
+              >
+                <option value="">Press stops, triggers restart</option>
+                <option value="restart">Restart</option>
+                <option value="overlap">Overlap (layer voices)</option>
+                <option value="ignore">Ignore while playing</option>
+                <option value="toggle">Stop</option>
+              </select>
+            </div>
+            <div className="field">
+              <label>Max Voices</label>
               <input
-                placeholder="Choose audio file"
-                value={state.assetPath || ""}
+                type="number"
+                min="1"
+                disabled={state.retrigger !== "overlap"}
+                value={state.maxVoices || 4}
                 onChange={(e) =>
-                  setState((s) => ({ ...s, assetPath: e.target.value }))
+                  setState((s) => ({ ...s, maxVoices: Number(e.target.value) }))
+                }
+              />
+            </div>
+          </div>
+          <div className="rowFlex">
+            <div className="field">
+              <label>Choke Group</label>
+              <input
+                list="chokeGroupOptions"
+                placeholder="None"
+                value={state.chokeGroup || ""}
+                onChange={(e) =>
+                  setState((s) => ({ ...s, chokeGroup: e.target.value }))
                 }
               />
+              <datalist id="chokeGroupOptions">
+                {chokeGroups.map((g) => (
+                  <option key={g} value={g} />
+                ))}
+              </datalist>
+            </div>
+            <div className="field">
+              <label>Choke Crossfade (ms)</label>
               <input
-                type="file"
-                accept="audio/*"
-                onChange={(e) => {
-                  const f = e.target.files?.[0];
-                  if (!f) return;
-                  const url = URL.createObjectURL(f);
-                  setState((s) => ({ ...s, assetPath: f.name, assetUrl: url }));
-                }}
+                type="number"
+                placeholder="0"
+                disabled={!(state.chokeGroup || "").trim()}
+                value={state.chokeFadeMs || 0}
+                onChange={(e) =>
+                  setState((s) => ({
+                    ...s,
+                    chokeFadeMs: Number(e.target.value),
+                  }))
+                }
               />
             </div>
           </div>
           <div className="rowFlex">
             <div className="field">
-              <label>Fade In (ms)</label>
+              <label>Speed (%)</label>
               <input
                 type="number"
-                placeholder="0"
-                value={state.fadeInMs || 0}
+                min="25"
+                max="400"
+                step="1"
+                value={Math.round((state.speed ?? 1) * 100)}
                 onChange={(e) =>
-                  setState((s) => ({ ...s, fadeInMs: Number(e.target.value) }))
+                  setState((s) => ({
+                    ...s,
+                    speed: Number(e.target.value) / 100,
+                  }))
                 }
               />
             </div>
             <div className="field">
-              <label>Fade Out (ms)</label>
+              <label>Pitch (semitones)</label>
               <input
                 type="number"
-                placeholder="0"
-                value={state.fadeOutMs || 0}
+                min="-24"
+                max="24"
+                step="1"
+                value={Number(state.pitchSemitones) || 0}
                 onChange={(e) =>
-                  setState((s) => ({ ...s, fadeOutMs: Number(e.target.value) }))
+                  setState((s) => ({
+                    ...s,
+                    pitchSemitones: Number(e.target.value),
+                  }))
                 }
               />
             </div>
-          </div>
-          <div style={{ margin: "8px 0", color: "#bbb" }}>Triggers</div>
-          <div className="field">
+            <div className="field" style={{ alignSelf: "flex-end" }}>
+              <label style={{ color: "#ddd" }}>
+                <input
+                  type="checkbox"
+                  checked={!!state.preservePitch}
+                  disabled={!canShiftPitch() && !!Number(state.pitchSemitones)}
+                  onChange={(e) =>
+                    setState((s) => ({
+                      ...s,
+                      preservePitch: e.target.checked,
+                    }))
+                  }
+                />
+                Keep Pitch
+              </label>
+            </div>
+          </div>
+          <div className="rowFlex">
+            <div className="field" style={{ flex: 2 }}>
+              <label>
+                Pan (
+                {tone.pan === 0
+                  ? "C"
+                  : `${tone.pan < 0 ? "L" : "R"}${Math.round(
+                      Math.abs(tone.pan) * 100
+                    )}`}
+                )
+              </label>
+              <input
+                type="range"
+                min="-1"
+                max="1"
+                step="0.01"
+                value={tone.pan}
+                onChange={(e) =>
+                  setState((s) => ({ ...s, pan: Number(e.target.value) }))
+                }
+                onDoubleClick={() => setState((s) => ({ ...s, pan: 0 }))}
+              />
+            </div>
+            <div className="field">
+              <label>High-Pass (Hz)</label>
+              <input
+                type="number"
+                min="0"
+                step="10"
+                placeholder="Off"
+                value={tone.hpHz || ""}
+                onChange={(e) => setEq({ hpHz: Number(e.target.value) })}
+              />
+            </div>
+          </div>
+          <div className="rowFlex">
+            <div className="field">
+              <label>Low (dB)</label>
+              <input
+                type="number"
+                min="-24"
+                max="24"
+                step="0.5"
+                value={tone.lowDb}
+                onChange={(e) => setEq({ lowDb: Number(e.target.value) })}
+              />
+            </div>
+            <div className="field">
+              <label>Mid (dB)</label>
+              <input
+                type="number"
+                min="-24"
+                max="24"
+                step="0.5"
+                value={tone.midDb}
+                onChange={(e) => setEq({ midDb: Number(e.target.value) })}
+              />
+            </div>
+            <div className="field">
+              <label>Mid Freq (Hz)</label>
+              <input
+                type="number"
+                min="20"
+                max="20000"
+                step="10"
+                value={tone.midHz}
+                onChange={(e) => setEq({ midHz: Number(e.target.value) })}
+              />
+            </div>
+            <div className="field">
+              <label>High (dB)</label>
+              <input
+                type="number"
+                min="-24"
+                max="24"
+                step="0.5"
+                value={tone.highDb}
+                onChange={(e) => setEq({ highDb: Number(e.target.value) })}
+              />
+            </div>
+          </div>
+          <div className="rowFlex">
+            {FX_SEND_KINDS.map((kind) => (
+              <div key={kind} className="field">
+                <label>
+                  {kind === "reverb" ? "Reverb" : "Delay"} Send (
+                  {Math.round(tone[kind] * 100)}%)
+                </label>
+                <input
+                  type="range"
+                  min="0"
+                  max="1"
+                  step="0.01"
+                  value={tone[kind]}
+                  onChange={(e) =>
+                    setState((s) => ({
+                      ...s,
+                      sends: {
+                        ...(s.sends || {}),
+                        [kind]: Number(e.target.value),
+                      },
+                    }))
+                  }
+                />
+              </div>
+            ))}
+          </div>
+          <div className="field">
+            <label>Audio File</label>
+            <div className="rowFlex">
+              <input
+                placeholder="Choose audio file"
+                value={state.assetPath || ""}
+                onChange={(e) =>
+                  setState((s) => ({ ...s, assetPath: e.target.value }))
+                }
+              />
+              <input
+                type="file"
+                accept="audio/*"
+                onChange={(e) => {
+                  const f = e.target.files?.[0];
+                  if (!f) return;
+                  const url = URL.createObjectURL(f);
+                  setState((s) => ({ ...s, assetPath: f.name, assetUrl: url }));
+                }}
+              />
+            </div>
+          </div>
+          <div className="field">
+            <label>
+              {state.playbackMode === "playlist"
+                ? "More Tracks (Playlist)"
+                : "More Files (Pool)"}
+            </label>
+            {(state.pool || []).map((f) => (
+              <div key={f.id} className="rowFlex" style={{ marginBottom: 6 }}>
+                <input
+                  value={f.assetPath || ""}
+                  onChange={(e) =>
+                    updatePoolFile(f.id, { assetPath: e.target.value })
+                  }
+                />
+                <input
+                  type="file"
+                  accept="audio/*"
+                  onChange={(e) => {
+                    const file = e.target.files?.[0];
+                    if (!file) return;
+                    updatePoolFile(f.id, {
+                      assetPath: file.name,
+                      assetUrl: URL.createObjectURL(file),
+                    });
+                  }}
+                />
+                <button
+                  className="btn sm red"
+                  onClick={() =>
+                    setState((s) => ({
+                      ...s,
+                      pool: (s.pool || []).filter((x) => x.id !== f.id),
+                    }))
+                  }
+                >
+                  Remove
+                </button>
+              </div>
+            ))}
+            <div className="rowFlex">
+              <input
+                type="file"
+                accept="audio/*"
+                multiple
+                title="Add files to the pool"
+                onChange={(e) => {
+                  const added = Array.from(e.target.files || []).map(
+                    (file) => ({
+                      id: `file-${Math.random().toString(36).slice(2, 8)}`,
+                      assetPath: file.name,
+                      assetUrl: URL.createObjectURL(file),
+                    })
+                  );
+                  e.target.value = "";
+                  if (added.length === 0) return;
+                  setState((s) => ({
+                    ...s,
+                    pool: [...(s.pool || []), ...added],
+                  }));
+                }}
+              />
+            </div>
+          </div>
+          {state.playbackMode === "playlist" && (
+            <div className="rowFlex">
+              <div className="field">
+                <label>Gap (ms)</label>
+                <input
+                  type="number"
+                  min="0"
+                  step="100"
+                  disabled={(state.playlistCrossfadeMs || 0) > 0}
+                  value={state.playlistGapMs || 0}
+                  onChange={(e) =>
+                    setState((s) => ({
+                      ...s,
+                      playlistGapMs: Number(e.target.value),
+                    }))
+                  }
+                />
+              </div>
+              <div className="field">
+                <label>Crossfade (ms)</label>
+                <input
+                  type="number"
+                  min="0"
+                  step="100"
+                  value={state.playlistCrossfadeMs || 0}
+                  onChange={(e) =>
+                    setState((s) => ({
+                      ...s,
+                      playlistCrossfadeMs: Number(e.target.value),
+                    }))
+                  }
+                />
+              </div>
+              <div className="field" style={{ alignSelf: "flex-end" }}>
+                <label style={{ color: "#ddd" }}>
+                  <input
+                    type="checkbox"
+                    checked={!!state.playlistShuffle}
+                    onChange={(e) =>
+                      setState((s) => ({
+                        ...s,
+                        playlistShuffle: e.target.checked,
+                      }))
+                    }
+                  />
+                  Shuffle
+                </label>
+                <label style={{ color: "#ddd" }}>
+                  <input
+                    type="checkbox"
+                    checked={!!state.playlistRepeat}
+                    onChange={(e) =>
+                      setState((s) => ({
+                        ...s,
+                        playlistRepeat: e.target.checked,
+                      }))
+                    }
+                  />
+                  Repeat
+                </label>
+              </div>
+            </div>
+          )}
+          <div className="rowFlex">
+            {(state.pool || []).length > 0 &&
+              state.playbackMode !== "playlist" && (
+                <div className="field">
+                  <label>Pool Order</label>
+                  <select
+                    value={state.poolOrder || "random"}
+                    onChange={(e) =>
+                      setState((s) => ({ ...s, poolOrder: e.target.value }))
+                    }
+                  >
+                    <option value="random">Random</option>
+                    <option value="shuffle">Shuffle (no repeats)</option>
+                    <option value="roundRobin">Round robin</option>
+                  </select>
+                </div>
+              )}
+            <div className="field">
+              <label>Level Variation (± dB)</label>
+              <input
+                type="number"
+                min="0"
+                step="0.5"
+                value={state.levelVariationDb || 0}
+                onChange={(e) =>
+                  setState((s) => ({
+                    ...s,
+                    levelVariationDb: Number(e.target.value),
+                  }))
+                }
+              />
+            </div>
+            <div className="field">
+              <label>Pitch Variation (± st)</label>
+              <input
+                type="number"
+                min="0"
+                step="0.1"
+                value={state.pitchVariationSemitones || 0}
+                onChange={(e) =>
+                  setState((s) => ({
+                    ...s,
+                    pitchVariationSemitones: Number(e.target.value),
+                  }))
+                }
+              />
+            </div>
+          </div>
+          <div className="rowFlex">
+            <div className="field">
+              <label>Start At (mm:ss.s)</label>
+              <PositionInput
+                value={state.trimStartSec}
+                placeholder="00:00.0"
+                onChange={(sec) =>
+                  setState((s) => ({ ...s, trimStartSec: sec }))
+                }
+              />
+            </div>
+            <div className="field">
+              <label>End At (mm:ss.s)</label>
+              <PositionInput
+                value={state.trimEndSec}
+                placeholder="End of file"
+                onChange={(sec) => setState((s) => ({ ...s, trimEndSec: sec }))}
+              />
+            </div>
+          </div>
+          {isLoopingMode(state.playbackMode) && (
+            <div className="rowFlex">
+              <div className="field">
+                <label>Loop Start (mm:ss.s)</label>
+                <PositionInput
+                  value={state.loopStartSec}
+                  placeholder="Whole sound"
+                  onChange={(sec) =>
+                    setState((s) => ({ ...s, loopStartSec: sec }))
+                  }
+                />
+              </div>
+              <div className="field">
+                <label>Loop End (mm:ss.s)</label>
+                <PositionInput
+                  value={state.loopEndSec}
+                  placeholder="Whole sound"
+                  onChange={(sec) =>
+                    setState((s) => ({ ...s, loopEndSec: sec }))
+                  }
+                />
+              </div>
+            </div>
+          )}
+          <div className="rowFlex">
+            <div className="field">
+              <label>Fade In (ms)</label>
+              <input
+                type="number"
+                placeholder="0"
+                value={state.fadeInMs || 0}
+                onChange={(e) =>
+                  setState((s) => ({ ...s, fadeInMs: Number(e.target.value) }))
+                }
+              />
+            </div>
+            <div className="field">
+              <label>Fade In Curve</label>
+              <select
+                value={state.fadeInCurve || "linear"}
+                onChange={(e) =>
+                  setState((s) => ({ ...s, fadeInCurve: e.target.value }))
+                }
+              >
+                {FADE_CURVES.map((c) => (
+                  <option key={c.value} value={c.value}>
+                    {c.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+          </div>
+          <div className="rowFlex">
+            <div className="field">
+              <label>Fade Out (ms)</label>
+              <input
+                type="number"
+                placeholder="0"
+                value={state.fadeOutMs || 0}
+                onChange={(e) =>
+                  setState((s) => ({ ...s, fadeOutMs: Number(e.target.value) }))
+                }
+              />
+            </div>
+            <div className="field">
+              <label>Fade Out Curve</label>
+              <select
+                value={state.fadeOutCurve || "linear"}
+                onChange={(e) =>
+                  setState((s) => ({ ...s, fadeOutCurve: e.target.value }))
+                }
+              >
+                {FADE_CURVES.map((c) => (
+                  <option key={c.value} value={c.value}>
+                    {c.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+          </div>
+          <div className="rowFlex">
+            <div className="field">
+              <label>Auto-play on Scene Enter</label>
+              <select
+                value={state.autoPlay ? "on" : "off"}
+                onChange={(e) =>
+                  setState((s) => ({ ...s, autoPlay: e.target.value === "on" }))
+                }
+              >
+                <option value="off">Off</option>
+                <option value="on">On</option>
+              </select>
+            </div>
+            <div className="field">
+              <label>Auto-play Delay (ms)</label>
+              <input
+                type="number"
+                placeholder="0"
+                disabled={!state.autoPlay}
+                value={state.autoPlayDelayMs || 0}
+                onChange={(e) =>
+                  setState((s) => ({
+                    ...s,
+                    autoPlayDelayMs: Number(e.target.value),
+                  }))
+                }
+              />
+            </div>
+          </div>
+          <div style={{ margin: "8px 0", color: "#bbb" }}>Triggers</div>
+          <div className="field">
             {triggers.length === 0 && (
               <div style={{ color: "#888", marginBottom: 8 }}>No triggers</div>
             )}
@@ -4390,124 +9052,102 @@ function SoundEditorDrawer({
                     >
                       <option value="onStart">On Start</option>
                       <option value="onStop">On Stop</option>
+                      <option value="onEnd">When Sound Ends</option>
                     </select>
                   </div>
                   <div className="field">
-                    <label>Action</label>
-                    <select
-                      value={tr.action}
+                    <label>Delay (ms)</label>
+                    <input
+                      type="number"
+                      value={tr.delayMs || 0}
                       onChange={(e) =>
                         setTriggers((arr) =>
                           arr.map((x) =>
                             x.id === tr.id
-                              ? { ...x, action: e.target.value }
+                              ? { ...x, delayMs: Number(e.target.value) }
                               : x
                           )
                         )
                       }
-                    >
-                      <option value="none">None</option>
-                      <option value="play">Play</option>
-                      <option value="stop">Stop</option>
-                      {/* Legacy 'fade' removed from UI per request */}
-                      <option value="fadeIn">Fade In</option>
-                      <option value="fadeOut">Fade Out</option>
-                    </select>
+                    />
                   </div>
-                  <div className="field">
-                    <label>Scene</label>
-                    <select
-                      value={tr.sceneId || scene.id}
-                      onChange={(e) =>
-                        setTriggers((arr) =>
-                          arr.map((x) =>
-                            x.id === tr.id
-                              ? { ...x, sceneId: e.target.value }
-                              : x
-                          )
+                  <ActionFields
+                    action={tr}
+                    actions={TRIGGER_ACTIONS}
+                    scene={scene}
+                    scenes={scenes}
+                    onChange={(patch) =>
+                      setTriggers((arr) =>
+                        arr.map((x) =>
+                          x.id === tr.id ? { ...x, ...patch } : x
                         )
+                      )
+                    }
+                  />
+                  <div className="field" style={{ alignSelf: "flex-end" }}>
+                    <button
+                      className="btn sm red"
+                      onClick={() =>
+                        setTriggers((arr) => arr.filter((x) => x.id !== tr.id))
                       }
                     >
-                      {(scenes || []).map((s) => (
-                        <option key={s.id} value={s.id}>
-                          {s.name}
-                        </option>
-                      ))}
-                    </select>
+                      Remove
+                    </button>
+                  </div>
+                </div>
+              </div>
+            ))}
+            <div>
+              <button
+                className="btn sm"
+                onClick={() => setTriggers((arr) => [...arr, ensureTrigger()])}
+              >
+                + Add Trigger
+              </button>
+            </div>
+          </div>
+          <div style={{ margin: "8px 0", color: "#bbb" }}>Markers</div>
+          <div className="field">
+            {(state.markers || []).length === 0 && (
+              <div style={{ color: "#888", marginBottom: 8 }}>No markers</div>
+            )}
+            {(state.markers || []).map((m) => (
+              <div key={m.id} className="triggerRow">
+                <div className="rowFlex">
+                  <div className="field">
+                    <label>At (mm:ss.s)</label>
+                    <PositionInput
+                      value={m.timeSec}
+                      required
+                      onChange={(sec) => updateMarker(m.id, { timeSec: sec })}
+                    />
                   </div>
                   <div className="field">
-                    <label>Pad</label>
-                    <select
-                      value={tr.padId || ""}
+                    <label>Label</label>
+                    <input
+                      value={m.label || ""}
                       onChange={(e) =>
-                        setTriggers((arr) =>
-                          arr.map((x) =>
-                            x.id === tr.id ? { ...x, padId: e.target.value } : x
-                          )
-                        )
+                        updateMarker(m.id, { label: e.target.value })
                       }
-                    >
-                      {(() => {
-                        const targetSceneId = tr.sceneId || scene.id;
-                        const s =
-                          (scenes || []).find((s) => s.id === targetSceneId) ||
-                          scene;
-                        console.log(
-                          `Trigger config: Looking for pads in scene ${targetSceneId}, found scene: ${s.id} (${s.name})`
-                        );
-                        const pads = [
-                          ...(s.background || []),
-                          ...(s.ambients || []),
-                          ...(s.sfx || []),
-                        ];
-                        console.log(
-                          `Trigger config: Found ${pads.length} pads in scene ${s.id}`
-                        );
-                        return [
-                          <option key="" value="">
-                            Select pad
-                          </option>,
-                          ...pads.map((p) => {
-                            console.log(
-                              `Trigger config pad: ${p.id} - ${
-                                p.name || p.label
-                              }`
-                            );
-                            return (
-                              <option key={p.id} value={p.id}>
-                                {p.name || p.label || p.id}
-                              </option>
-                            );
-                          }),
-                        ];
-                      })()}
-                    </select>
+                    />
                   </div>
-                  {(tr.action === "fade" ||
-                    tr.action === "fadeIn" ||
-                    tr.action === "fadeOut") && (
-                    <div className="field">
-                      <label>Time (ms)</label>
-                      <input
-                        type="number"
-                        value={typeof tr.timeMs === "number" ? tr.timeMs : 200}
-                        onChange={(e) =>
-                          setTriggers((arr) =>
-                            arr.map((x) =>
-                              x.id === tr.id
-                                ? { ...x, timeMs: Number(e.target.value) }
-                                : x
-                            )
-                          )
-                        }
-                      />
-                    </div>
-                  )}
+                  <ActionFields
+                    action={m}
+                    actions={TRIGGER_ACTIONS}
+                    scene={scene}
+                    scenes={scenes}
+                    onChange={(patch) => updateMarker(m.id, patch)}
+                  />
                   <div className="field" style={{ alignSelf: "flex-end" }}>
                     <button
                       className="btn sm red"
                       onClick={() =>
-                        setTriggers((arr) => arr.filter((x) => x.id !== tr.id))
+                        setState((s) => ({
+                          ...s,
+                          markers: (s.markers || []).filter(
+                            (x) => x.id !== m.id
+                          ),
+                        }))
                       }
                     >
                       Remove
@@ -4519,9 +9159,14 @@ function SoundEditorDrawer({
             <div>
               <button
                 className="btn sm"
-                onClick={() => setTriggers((arr) => [...arr, ensureTrigger()])}
+                onClick={() =>
+                  setState((s) => ({
+                    ...s,
+                    markers: [...(s.markers || []), ensureMarker()],
+                  }))
+                }
               >
-                + Add Trigger
+                + Add Marker
               </button>
             </div>
           </div>
@@ -4549,6 +9194,150 @@ function SoundEditorDrawer({
   );
 }
 
+// Text field for a position in a sound, committed on blur. Blank means "not
+// set" (null) unless `required`; invalid input reverts.
+function PositionInput({ value, onChange, placeholder, required }) {
+  const shown = Number.isFinite(value) ? formatPosition(value) : "";
+  return (
+    <input
+      key={shown}
+      defaultValue={shown}
+      placeholder={placeholder}
+      onBlur={(e) => {
+        const text = e.target.value.trim();
+        if (text === "" && !required) {
+          if (Number.isFinite(value)) onChange(null);
+          return;
+        }
+        const sec = parsePosition(text);
+        if (sec == null) {
+          e.target.value = shown;
+          return;
+        }
+        e.target.value = formatPosition(sec);
+        if (sec !== value) onChange(sec);
+      }}
+    />
+  );
+}
+
+// Action/Scene/Pad/Time/Curve fields shared by trigger rows and cue actions
+function ActionFields({ action, actions, scene, scenes, onChange }) {
+  const hasTime = ACTIONS_WITH_TIME.includes(action.action);
+  const hasCurve = hasTime && action.action !== "wait";
+  const hasScene = action.action !== "wait";
+  const hasPad = !ACTIONS_WITHOUT_PAD.includes(action.action);
+  const targetSceneId = action.sceneId || scene.id;
+  const targetScene =
+    (scenes || []).find((s) => s.id === targetSceneId) || scene;
+  const pads = [
+    ...(targetScene.background || []),
+    ...(targetScene.ambients || []),
+    ...(targetScene.sfx || []),
+  ];
+  return (
+    <>
+      <div className="field">
+        <label>Action</label>
+        <select
+          value={action.action}
+          onChange={(e) => onChange({ action: e.target.value })}
+        >
+          {actions.map((a) => (
+            <option key={a.value} value={a.value}>
+              {a.label}
+            </option>
+          ))}
+        </select>
+      </div>
+      {hasScene && (
+        <div className="field">
+          <label>Scene</label>
+          <select
+            value={targetSceneId}
+            onChange={(e) => onChange({ sceneId: e.target.value })}
+          >
+            {(scenes || []).map((s) => (
+              <option key={s.id} value={s.id}>
+                {s.name}
+              </option>
+            ))}
+          </select>
+        </div>
+      )}
+      {action.action === "stopGroup" && (
+        <div className="field">
+          <label>Group</label>
+          <select
+            value={action.groupKey || "background"}
+            onChange={(e) => onChange({ groupKey: e.target.value })}
+          >
+            {LANE_OPTIONS.map((l) => (
+              <option key={l.value} value={l.value}>
+                {l.label}
+              </option>
+            ))}
+          </select>
+        </div>
+      )}
+      {hasPad && (
+        <div className="field">
+          <label>
+            {action.action === "stopAllExcept" ? "Keep Pad" : "Pad"}
+          </label>
+          <select
+            value={action.padId || ""}
+            onChange={(e) => onChange({ padId: e.target.value })}
+          >
+            <option value="">Select pad</option>
+            {pads.map((p) => (
+              <option key={p.id} value={p.id}>
+                {p.name || p.label || p.id}
+              </option>
+            ))}
+          </select>
+        </div>
+      )}
+      {action.action === "setLevel" && (
+        <div className="field">
+          <label>Level (dB)</label>
+          <input
+            type="number"
+            step="0.5"
+            value={Number.isFinite(action.levelDb) ? action.levelDb : 0}
+            onChange={(e) => onChange({ levelDb: Number(e.target.value) })}
+          />
+        </div>
+      )}
+      {hasTime && (
+        <div className="field">
+          <label>Time (ms)</label>
+          <input
+            type="number"
+            value={typeof action.timeMs === "number" ? action.timeMs : 200}
+            onChange={(e) => onChange({ timeMs: Number(e.target.value) })}
+          />
+        </div>
+      )}
+      {hasCurve && (
+        <div className="field">
+          <label>Curve</label>
+          <select
+            value={action.curve || "linear"}
+            onChange={(e) => onChange({ curve: e.target.value })}
+          >
+            {FADE_CURVES.map((c) => (
+              <option key={c.value} value={c.value}>
+                {c.label}
+              </option>
+            ))}
+          </select>
+        </div>
+      )}
+    </>
+  );
+}
+
 function createEmptyScene(name) {
   return {
     id: `scene-${Math.random().toString(36).slice(2, 8)}`,